@@ -0,0 +1,46 @@
+/**
+ * Address result schema shared by the parsers
+ *
+ * Describes the structured fields the LLM must return and
+ * validates replies against it before they are trusted.
+ */
+
+// Who the parcel is for, split from the address lines so names never leak into Address 1 or 2
+const RECIPIENT_FIELDS = ['Recipient', 'Company', 'Attention'];
+
+// Kinds of delivery address, reported in the "Address Type" field
+const ADDRESS_TYPES = ['Street', 'PO Box', 'Military', 'Rural Route'];
+
+const ADDRESS_FIELDS = [...RECIPIENT_FIELDS, 'Address 1', 'Address 2', 'City', 'State', 'ZIP', 'Country', 'Address Type'];
+
+// JSON schema sent as the OpenAI-style response_format / tool parameters
+const ADDRESS_JSON_SCHEMA = {
+  type: 'object',
+  properties: Object.fromEntries(ADDRESS_FIELDS.map(field => [field,
+    field === 'Address Type' ? { type: 'string', enum: ADDRESS_TYPES } : { type: 'string' }])),
+  required: ADDRESS_FIELDS,
+  additionalProperties: false
+};
+
+/**
+ * Validate a parsed LLM reply against the address schema
+ * @param {*} value - Candidate parsed from the reply
+ * @returns {string[]} Validation errors, empty when the value is valid
+ */
+function validateAddressObject(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return ['Reply must be a single JSON object'];
+  }
+
+  const missing = ADDRESS_FIELDS
+    .filter(field => !(field in value))
+    .map(field => `Missing field "${field}"`);
+  const wrongType = ADDRESS_FIELDS
+    .filter(field => field in value && typeof value[field] !== 'string')
+    .map(field => `Field "${field}" must be a string`);
+  const extra = Object.keys(value)
+    .filter(key => !ADDRESS_FIELDS.includes(key))
+    .map(key => `Unexpected field "${key}"`);
+
+  return [...missing, ...wrongType, ...extra];
+}
@@ -1,299 +1,318 @@
 // Address parser for Chrome extension
 // Uses local LLM Studio API for address parsing
 
+importScripts('settings.js', 'logger.js', 'address_schema.js', 'us_reference.js', 'countries.js', 'validation.js', 'confidence.js', 'cache.js', 'llm_client.js', 'examples.js', 'usps.js', 'ensemble.js', 'parser_core.js', 'segmentation.js', 'formatters.js', 'history.js');
+
+startLogger('background');
+
 /**
- * Parse address using LM Studio's local LLM
+ * Parse an address with the extension's settings, LLM result cache, example
+ * library and circuit breaker (see runParsePipeline in parser_core.js).
+ * LLM results are cached per normalized address, model (or ensemble), prompt version and few-shot examples.
  * @param {string} address - Raw address string
- * @returns {Promise<object>} Parsed address components
+ * @param {object} [options]
+ * @param {boolean} [options.bypassCache] - Ask the LLM even if a cached result exists
+ * @param {string} [options.contact] - Contact name from the order, recognized as the recipient by the regex parser
+ * @param {AbortSignal} [options.signal] - Cancels the parse; it then rejects instead of falling back
+ * @returns {Promise<object>} Result, method used, LLM stats, cache hit, validation, confidence and disagreements
  */
-async function parseAddressWithLLM(address) {
-  // Default return object if parsing fails
-  const defaultResult = {
-    'Address 1': '',
-    'Address 2': '',
-    'City': '',
-    'State': '',
-    'ZIP': '',
-    'Country': 'USA'
-  };
-
-  try {
-    console.log('Sending address to local LLM:', address);
-
-    // Prepare the API call to the local LLM
-    const response = await fetch('http://127.0.0.1:1234/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': 'Bearer lm-studio' // This can be any string as per the docs
-      },
-      body: JSON.stringify({
-        model: 'local-model', // This can be any string as per the docs
-        messages: [
-          {
-            role: 'system',
-            content: `You are an address parsing assistant specialized in extracting address components accurately.
-
-Extract the components of an address into a JSON structure with these exact fields: "Address 1", "Address 2", "City", "State", "ZIP", and "Country".
-
-Important guidelines:
-1. "Address 1" should contain the street number and name (e.g., "123 Main St")
-2. "Address 2" should contain apartment numbers, suite numbers, unit numbers, floor designations, building names, etc. (e.g., "Apt 101", "Suite B", "Unit 5", "Floor 3", "#42")
-3. If a component is not present, leave its value as an empty string.
-4. If you're uncertain about a component, make your best guess based on common address patterns.
-5. For US addresses, assume USA as the default country if none is specified.
-6. The output should be valid JSON format with no additional commentary.`
-          },
-          {
-            role: 'user',
-            content: `Parse this address: "${address}"`
-          }
-        ],
-        temperature: 0.1, // Lower temperature for more deterministic output
-        max_tokens: 500
-      })
-    });
+async function parseAddress(address, { bypassCache = false, contact = '', signal } = {}) {
+  const settings = await getSettings();
+  const cacheKey = buildCacheKey(address, settings, await getExamplesRevision());
 
-    if (!response.ok) {
-      throw new Error(`API call failed: ${response.status} ${response.statusText}`);
+  return runParsePipeline(address, settings, {
+    contact,
+    signal,
+    hooks: {
+      readCachedResult: async () => bypassCache ? null : readCache(cacheKey, settings),
+      cacheResult: llm => writeCache(cacheKey, llm, settings),
+      loadExamples: getExamples,
+      getCircuit: () => getCircuitState(settings),
+      recordFailure: () => recordLLMFailure(settings),
+      recordSuccess: resetCircuit
     }
+  });
+}
 
-    const data = await response.json();
-    console.log('LLM response:', data);
+/**
+ * Parse text that may hold several addresses, e.g. "Ship to: ... / Bill to: ...".
+ * Each address is parsed on its own, one after another so the local LLM is not flooded.
+ * @param {string} text - Raw address text
+ * @param {object} [options] - Options for parseAddress
+ * @returns {Promise<object[]>} One parseAddress result per address, with its role ("" when unlabeled) and text
+ */
+async function parseAddresses(text, options = {}) {
+  const results = [];
+  for (const { role, text: address } of segmentAddresses(text)) {
+    throwIfCancelled(options.signal);
+    results.push({ role, address, ...await parseAddress(address, options) });
+  }
+  return results;
+}
 
-    if (!data.choices || !data.choices[0] || !data.choices[0].message || !data.choices[0].message.content) {
-      throw new Error('Invalid response from LLM');
-    }
+/**
+ * Build the LLM cache key for an address. Addresses differing only in case,
+ * punctuation or spacing share a key.
+ * @param {string} address - Raw address string
+ * @param {object} settings - Extension settings
+ * @param {number} examplesRevision - Revision of the example library (getExamplesRevision)
+ * @returns {string} Cache key
+ */
+function buildCacheKey(address, settings, examplesRevision) {
+  // An ensemble's result depends on every model, endpoint and weight
+  const model = isEnsembleEnabled(settings)
+    ? JSON.stringify([...getEnsembleMembers(settings).map(({ weight, settings: member }) =>
+      [member.llmBaseUrl, member.llmModel, member.structuredOutput, weight]), settings.ensembleRegexWeight])
+    : settings.llmModel;
+  // The few-shot examples are part of the prompt; without any, the library does not matter
+  const examples = settings.fewShotCount > 0 ? [settings.fewShotCount, examplesRevision] : 0;
+  return JSON.stringify([ADDRESS_PROMPT_VERSION, model, settings.structuredOutput, normalizeForComparison(address), examples]);
+}
 
-    // Extract the parsed address from the LLM's response
-    const content = data.choices[0].message.content;
-    
-    // Try to find JSON in the response
-    const jsonMatch = content.match(/\{[\s\S]*\}/);
-    if (!jsonMatch) {
-      throw new Error('Could not extract JSON from LLM response');
+/**
+ * Drop the cached LLM results for an address, for every model and prompt version
+ * @param {string} address - Raw address string
+ * @returns {Promise<void>}
+ */
+async function invalidateCachedAddress(address) {
+  const normalized = normalizeForComparison(address);
+  await deleteCacheEntries(key => JSON.parse(key)[3] === normalized, await getSettings());
+}
+
+/**
+ * List the models served by an OpenAI-compatible endpoint
+ * @param {object} settings - Settings holding llmBaseUrl, llmApiKey and the request timeout and retries
+ * @returns {Promise<string[]>} Model ids reported by /v1/models
+ */
+async function fetchModels(settings) {
+  const { response, data } = await fetchLLM(buildLLMUrl(settings.llmBaseUrl, '/v1/models'), {
+    method: 'GET',
+    headers: {
+      'Authorization': `Bearer ${settings.llmApiKey}`
     }
+  }, settings);
+
+  if (!response.ok) {
+    throw new Error(`API call failed: ${response.status} ${response.statusText}`);
+  }
+
+  return (data.data || []).map(model => model.id);
+}
 
-    // Parse the JSON
-    const parsedAddress = JSON.parse(jsonMatch[0]);
-    console.log('Parsed address:', parsedAddress);
-
-    // Ensure all required fields exist
-    const result = {
-      'Address 1': parsedAddress['Address 1'] || '',
-      'Address 2': parsedAddress['Address 2'] || '',
-      'City': parsedAddress['City'] || '',
-      'State': parsedAddress['State'] || '',
-      'ZIP': parsedAddress['ZIP'] || '',
-      'Country': parsedAddress['Country'] || 'USA'
-    };
-
-    return result;
+// Check if the local LLM is available; not retried, so the popup can show its status quickly
+async function checkLocalLLM() {
+  try {
+    await fetchModels({ ...await getSettings(), llmMaxRetries: 0 });
+    log('info', 'Local LLM is available');
+    return true;
   } catch (error) {
-    console.error('Error calling local LLM:', error);
-    
-    // Fallback to regex parsing if LLM fails
-    console.log('Falling back to regex parsing');
-    return parseAddressWithRegex(address);
+    log('warn', 'Could not connect to local LLM', error);
+    return false;
   }
 }
 
+// Abort controllers of the parses in progress from the popup, batch and history pages, by request id, so they can be cancelled
+const activeParses = new Map();
+
+// Command and context menu item that parse the text selected on the page
+const PARSE_SELECTION_ID = 'parse-selection';
+
 /**
- * Parse address using regex patterns (fallback method)
- * @param {string} address - Raw address string
- * @returns {object} Parsed address components
+ * Parse the text selected in a tab, copy the result in the user's chosen
+ * format and report the outcome in a toast on the page
+ * @param {object} tab - Tab holding the selection
+ * @param {string} [fallbackText] - Selection reported by the context menu, used if the page cannot be asked
+ * @returns {Promise<void>}
  */
-function parseAddressWithRegex(address) {
-  // Default return object
-  const result = {
-    'Address 1': '',
-    'Address 2': '',
-    'City': '',
-    'State': '',
-    'ZIP': '',
-    'Country': 'USA' // Default to USA
-  };
+async function handleParseSelection(tab, fallbackText = '') {
+  if (!tab || !tab.id) return;
 
   try {
-    // Clean the address string
-    address = address.trim()
-      .replace(/\r\n/g, '\n')
-      .replace(/\n+/g, ', ')
-      .replace(/\s+/g, ' ')
-      .replace(/,,/g, ',');
-
-    console.log('Cleaned address for regex parsing:', address);
-
-    // Extract ZIP code (US format)
-    const zipMatch = address.match(/\b(\d{5}(-\d{4})?)\b/);
-    if (zipMatch) {
-      result.ZIP = zipMatch[1];
-      // Remove the ZIP from the address to simplify further parsing
-      address = address.replace(zipMatch[1], '');
+    // The page's own selection keeps line breaks, which the context menu's selectionText loses
+    const selection = await chrome.tabs.sendMessage(tab.id, { action: 'getSelection' })
+      .then(response => response && response.text)
+      .catch(() => '');
+    const text = (selection || fallbackText).trim();
+    if (!text) {
+      await showToast(tab.id, { success: false, message: 'Select an address on the page first' });
+      return;
     }
 
-    // Extract state (2-letter US state code)
-    const stateMatch = address.match(/,?\s*([A-Z]{2})\s*,?/);
-    if (stateMatch) {
-      result.State = stateMatch[1];
-      // Remove the state from the address
-      address = address.replace(stateMatch[0], ',');
-    }
-
-    // Clean up commas
-    address = address.replace(/,\s*,/g, ',').replace(/,\s*$/g, '');
-
-    // Extract city (assume it's the last part before state/zip)
-    const parts = address.split(',');
-    if (parts.length > 1) {
-      result.City = parts[parts.length - 1].trim();
-      
-      // Remaining parts are Address1 and potentially Address2
-      const streetParts = parts.slice(0, parts.length - 1).join(',').trim();
-      
-      // Enhanced address 2 detection
-      // Common patterns for apartment/suite identifiers
-      const addr2Patterns = [
-        // Match patterns like "Apt 101", "Suite B", "Unit 5", "Building C", etc.
-        /\b(apt\.?|apartment|suite|ste\.?|unit|bldg\.?|building|floor|fl\.?|room|rm\.?)\s+[a-z0-9-]+\b/i,
-        // Match patterns like "#101", "#B", etc.
-        /\s+#\s*[a-z0-9-]+\b/i,
-        // Match patterns with abbreviations or specific formats
-        /\b(unit|apt\.?|suite|ste\.?)\s*#?\s*[a-z0-9-]+\b/i
-      ];
-      
-      let addr2Match = null;
-      let matchIndex = -1;
-      
-      // Try to find Address 2 information
-      for (const pattern of addr2Patterns) {
-        const match = streetParts.match(pattern);
-        if (match && match.index > 0) {
-          if (matchIndex === -1 || match.index < matchIndex) {
-            addr2Match = match;
-            matchIndex = match.index;
-          }
-        }
-      }
-      
-      // Also check for comma-separated apartment info like "123 Main St, Apt 101"
-      const commaSeparatedMatch = streetParts.match(/,\s*(.*)/);
-      
-      if (addr2Match && matchIndex > 0) {
-        // Found in-line address 2 info
-        result['Address 1'] = streetParts.substring(0, matchIndex).trim();
-        result['Address 2'] = streetParts.substring(matchIndex).trim();
-      } else if (commaSeparatedMatch && commaSeparatedMatch[1]) {
-        // Found comma-separated address 2 info
-        const potentialAddr2 = commaSeparatedMatch[1].trim();
-        
-        // Check if this looks like an Address 2 component
-        const looksLikeAddr2 = /^(apt|suite|ste|unit|bldg|#|apartment|building|floor)/i.test(potentialAddr2);
-        
-        if (looksLikeAddr2) {
-          result['Address 1'] = streetParts.substring(0, commaSeparatedMatch.index).trim();
-          result['Address 2'] = potentialAddr2;
-        } else {
-          // If it doesn't look like Address 2, keep it all as Address 1
-          result['Address 1'] = streetParts;
-        }
-      } else {
-        // No Address 2 found
-        result['Address 1'] = streetParts;
-      }
-    } else {
-      // If no commas, assume it's all Address 1
-      result['Address 1'] = address.trim();
-    }
+    const settings = await getSettings();
+    const result = await parseAddress(text);
+    const parsed = [{ role: 'Selection', prefix: '', raw: text, address: text, data: result.data, method: result.method }];
 
-    // Additional processing for better results
-    // If no City was detected but we have State, try to find the city
-    if (!result.City && result.State) {
-      // Look for patterns like "San Francisco CA" or "New York NY"
-      const cityBeforeStatePattern = new RegExp(`([\\w\\s]+)\\s+${result.State}`, 'i');
-      const cityMatch = address.match(cityBeforeStatePattern);
-      if (cityMatch && cityMatch[1]) {
-        // Extract the last word or phrase before the state code
-        const potentialCity = cityMatch[1].trim().split(/\s+/);
-        // Get the last 1-3 words as the potential city name
-        const cityName = potentialCity.slice(Math.max(0, potentialCity.length - 3)).join(' ');
-        if (cityName) {
-          result.City = cityName;
-        }
-      }
-    }
+    await addHistoryEntry({ input: {}, addresses: parsed, sourceUrl: tab.url || '' })
+      .catch(error => log('error', 'Could not save to history', error));
 
-    return result;
+    const llmLabel = result.ensemble ? 'LLM ensemble' : 'local LLM';
+    const method = result.method === 'llm' ? (result.cacheHit ? `${llmLabel} (cached)` : llmLabel) : 'fallback method';
+    await showToast(tab.id, {
+      success: true,
+      copyText: formatOutput(mergeParsedAddresses({}, parsed), settings),
+      message: `Parsed with ${method}: ${formatSingleLine(result.data)}`,
+      warnings: [
+        ...result.validation.warnings,
+        ...result.disagreements.map(disagreement => describeDisagreement(disagreement))
+      ]
+    });
   } catch (error) {
-    console.error('Error in regex parsing:', error);
-    return result;
+    log('error', 'Error parsing selection', error);
+    await showToast(tab.id, { success: false, message: `Could not parse the selection: ${error.message}` });
   }
 }
 
-// Check if the local LLM is available
-async function checkLocalLLM() {
+/**
+ * Ask the content script to copy the result (service workers have no clipboard) and show a toast
+ * @param {number} tabId - Tab to show the toast in
+ * @param {object} toast - success, message, warnings and the text to copy
+ * @returns {Promise<void>}
+ */
+async function showToast(tabId, toast) {
   try {
-    const response = await fetch('http://127.0.0.1:1234/v1/models', {
-      method: 'GET',
-      headers: {
-        'Authorization': 'Bearer lm-studio'
-      }
-    });
-    
-    if (response.ok) {
-      console.log('Local LLM is available');
-      return true;
-    } else {
-      console.warn('Local LLM returned an error response:', response.status);
-      return false;
-    }
+    await chrome.tabs.sendMessage(tabId, { action: 'showParseResult', ...toast });
   } catch (error) {
-    console.warn('Could not connect to local LLM:', error);
-    return false;
+    // Pages such as chrome:// and the Web Store do not run content scripts
+    log('warn', 'Could not show the result on the page', error);
   }
 }
 
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.contextMenus.create({
+    id: PARSE_SELECTION_ID,
+    title: 'Parse selected address',
+    contexts: ['selection']
+  });
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (info.menuItemId === PARSE_SELECTION_ID) {
+    handleParseSelection(tab, info.selectionText);
+  }
+});
+
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (command === PARSE_SELECTION_ID) {
+    handleParseSelection(tab);
+  }
+});
+
 // Process messages from popup.js
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  console.log('Received message:', request);
+  if (request.type === 'recordDiagnostics') {
+    // Log entries from the popup and content scripts, already redacted
+    recordDiagnostics(request.entry);
+    return;
+  }
+
+  log('debug', 'Received message', request);
   
   if (request.type === 'parseAddress') {
-    console.log('Processing address:', request.address);
+    log('debug', 'Processing address', { address: request.address });
     
     // Parse the address and send back the result
-    parseAddressWithLLM(request.address)
+    const controller = new AbortController();
+    if (request.requestId) activeParses.set(request.requestId, controller);
+    parseAddress(request.address, { bypassCache: request.bypassCache, contact: request.contact, signal: controller.signal })
       .then(result => {
-        console.log('Parsing result:', result);
-        sendResponse({ 
-          success: true, 
-          data: result,
-          usedLLM: true
-        });
+        log('debug', 'Parsing result', { method: result.method, warnings: result.validation.warnings.length, disagreements: result.disagreements.length });
+        sendResponse({ success: true, ...result });
       })
       .catch(error => {
-        console.error('LLM parsing error, using regex fallback:', error);
-        
-        // Fallback to regex parsing
-        const fallbackResult = parseAddressWithRegex(request.address);
-        sendResponse({ 
-          success: true, 
-          data: fallbackResult,
-          usedLLM: false
-        });
+        log(controller.signal.aborted ? 'info' : 'error', 'Error parsing address', error);
+        sendResponse({ success: false, error: error.message, cancelled: controller.signal.aborted });
+      })
+      .finally(() => {
+        if (activeParses.get(request.requestId) === controller) activeParses.delete(request.requestId);
       });
     
     return true; // Will respond asynchronously
+  } else if (request.type === 'parseAddresses') {
+    // Split text holding several addresses and parse each one
+    const controller = new AbortController();
+    if (request.requestId) activeParses.set(request.requestId, controller);
+    parseAddresses(request.address, { bypassCache: request.bypassCache, contact: request.contact, signal: controller.signal })
+      .then(addresses => {
+        log('debug', 'Parsing results', { addresses: addresses.length, methods: addresses.map(({ method }) => method) });
+        sendResponse({ success: true, addresses });
+      })
+      .catch(error => {
+        log(controller.signal.aborted ? 'info' : 'error', 'Error parsing addresses', error);
+        sendResponse({ success: false, error: error.message, cancelled: controller.signal.aborted });
+      })
+      .finally(() => {
+        if (activeParses.get(request.requestId) === controller) activeParses.delete(request.requestId);
+      });
+
+    return true; // Will respond asynchronously
+  } else if (request.type === 'cancelParse') {
+    const controller = activeParses.get(request.requestId);
+    if (controller) controller.abort();
+    sendResponse({ success: Boolean(controller) });
   } else if (request.type === 'checkLLMStatus') {
-    // Check if the local LLM is available
-    checkLocalLLM()
-      .then(available => {
-        sendResponse({ available });
+    // Check if the local LLM is available, and whether it is paused after repeated failures
+    Promise.all([checkLocalLLM(), getSettings().then(getCircuitState)])
+      .then(([available, circuit]) => {
+        sendResponse({ available, circuitOpen: circuit.open, circuitRetryAt: circuit.retryAt });
       })
       .catch(error => {
-        console.error('Error checking LLM status:', error);
+        log('error', 'Error checking LLM status', error);
         sendResponse({ available: false });
       });
     
+    return true; // Will respond asynchronously
+  } else if (request.type === 'listModels') {
+    // List models for the options page, using unsaved form values when given
+    Promise.resolve(request.settings || getSettings())
+      .then(fetchModels)
+      .then(models => {
+        sendResponse({ success: true, models });
+      })
+      .catch(error => {
+        log('warn', 'Could not list models', error);
+        sendResponse({ success: false, error: error.message });
+      });
+
+    return true; // Will respond asynchronously
+  } else if (request.type === 'invalidateCache') {
+    // The user corrected a parse, so its cached result must not be reused
+    invalidateCachedAddress(request.address)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+
+    return true; // Will respond asynchronously
+  } else if (request.type === 'resetCircuit') {
+    // Let the next parse try the LLM again without waiting for the cooldown
+    resetCircuit()
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+
+    return true; // Will respond asynchronously
+  } else if (request.type === 'addHistoryEntry') {
+    // The pages change the history through here, so one queue orders every write
+    addHistoryEntry(request.entry)
+      .then(entry => sendResponse({ success: true, entry }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+
+    return true; // Will respond asynchronously
+  } else if (request.type === 'updateHistoryAddresses') {
+    updateHistoryAddresses(request.id, request.addresses)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+
+    return true; // Will respond asynchronously
+  } else if (request.type === 'deleteHistoryEntries') {
+    deleteHistoryEntries(request.ids)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+
+    return true; // Will respond asynchronously
+  } else if (request.type === 'clearCache') {
+    getSettings()
+      .then(settings => deleteCacheEntries(() => true, settings))
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+
     return true; // Will respond asynchronously
   }
 });
\ No newline at end of file
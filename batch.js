@@ -0,0 +1,335 @@
+/**
+ * Batch mode for Address Parser Extension
+ *
+ * Parses a pasted list or an uploaded CSV of addresses through the background
+ * parser with bounded concurrency, and exports the enriched rows as CSV or JSON.
+ */
+document.addEventListener('DOMContentLoaded', function() {
+  const pasteInput = document.getElementById('pasteInput');
+  const csvInput = document.getElementById('csvInput');
+  const columnSelect = document.getElementById('columnSelect');
+  const concurrencyInput = document.getElementById('concurrencyInput');
+  const startBtn = document.getElementById('startBtn');
+  const cancelBtn = document.getElementById('cancelBtn');
+  const retryFailedBtn = document.getElementById('retryFailedBtn');
+  const exportCsvBtn = document.getElementById('exportCsvBtn');
+  const exportJsonBtn = document.getElementById('exportJsonBtn');
+  const progress = document.getElementById('progress');
+  const statusDiv = document.getElementById('status');
+  const resultsHead = document.getElementById('resultsHead');
+  const resultsBody = document.getElementById('resultsBody');
+
+  // Column name used for pasted addresses
+  const PASTED_COLUMN = 'Raw Address';
+
+  // Uploaded CSV: header row and data rows
+  let csvData = null;
+  // Rows of the current batch
+  let rows = [];
+  let running = false;
+  // Set by Cancel: rows not yet started fail as cancelled
+  let cancelled = false;
+  // Request ids of the rows being parsed, so Cancel can stop them
+  const activeRequestIds = new Set();
+
+  /**
+   * Build the batch rows from the uploaded CSV or the pasted text
+   * @returns {{columns: string[], rows: object[]}} Source columns and rows
+   */
+  function buildRows() {
+    if (csvData) {
+      const [header, ...records] = csvData;
+      const addressColumn = columnSelect.value;
+      return {
+        columns: header,
+        rows: records.map((cells, index) => {
+          const source = Object.fromEntries(header.map((column, i) => [column, cells[i] || '']));
+          return { index, source, address: source[addressColumn].trim(), status: 'pending' };
+        })
+      };
+    }
+
+    return {
+      columns: [PASTED_COLUMN],
+      rows: splitPastedAddresses(pasteInput.value)
+        .map((address, index) => ({ index, source: { [PASTED_COLUMN]: address }, address, status: 'pending' }))
+    };
+  }
+
+  /**
+   * Run a worker over items with at most `concurrency` in flight
+   * @param {Array} items - Items to process
+   * @param {number} concurrency - Maximum parallel workers
+   * @param {Function} worker - Async function called with each item
+   * @returns {Promise<void>}
+   */
+  async function runQueue(items, concurrency, worker) {
+    let next = 0;
+
+    async function runWorker() {
+      while (next < items.length) {
+        await worker(items[next++]);
+      }
+    }
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, runWorker));
+  }
+
+  /**
+   * Parse one row through the background parser and record the outcome
+   * @param {object} row - Batch row
+   */
+  async function parseRow(row) {
+    row.status = 'running';
+    row.error = '';
+    renderRow(row);
+
+    const requestId = crypto.randomUUID();
+    try {
+      if (cancelled) {
+        throw new Error('Cancelled');
+      }
+      if (!row.address) {
+        throw new Error('Empty address');
+      }
+
+      activeRequestIds.add(requestId);
+      const response = await chrome.runtime.sendMessage({ type: 'parseAddress', requestId, address: row.address });
+      if (response && response.cancelled) {
+        throw new Error('Cancelled');
+      }
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Failed to parse address');
+      }
+
+      row.response = response;
+      row.status = 'done';
+    } catch (error) {
+      row.status = 'failed';
+      row.error = error.message;
+    } finally {
+      activeRequestIds.delete(requestId);
+    }
+
+    renderRow(row);
+    updateProgress();
+  }
+
+  /**
+   * Collect the warnings to show and export for a parsed row
+   * @param {object} response - Response from the background parseAddress handler
+   * @returns {string[]} Warning messages
+   */
+  function getRowWarnings(response) {
+    return [
+      ...response.validation.warnings,
+      ...response.disagreements.map(disagreement => describeDisagreement(disagreement))
+    ];
+  }
+
+  /**
+   * Render the table header
+   */
+  function renderHeader() {
+    const headerRow = document.createElement('tr');
+    ['#', 'Raw address', 'Status', 'Method', ...ADDRESS_FIELDS, 'Warnings', ''].forEach(title => {
+      const th = document.createElement('th');
+      th.textContent = title;
+      headerRow.appendChild(th);
+    });
+    resultsHead.replaceChildren(headerRow);
+  }
+
+  /**
+   * Render (or re-render) the table row for a batch row
+   * @param {object} row - Batch row
+   */
+  function renderRow(row) {
+    if (!row.element) {
+      row.element = document.createElement('tr');
+      resultsBody.appendChild(row.element);
+    }
+
+    const data = row.response ? row.response.data : {};
+    const cells = [
+      { text: String(row.index + 1) },
+      { text: row.address, className: 'raw' },
+      { text: row.status === 'failed' ? `failed: ${row.error}` : row.status, className: 'row-status' },
+      { text: row.response ? row.response.method : '' },
+      ...ADDRESS_FIELDS.map(field => ({ text: data[field] || '' })),
+      { text: row.response ? getRowWarnings(row.response).join('; ') : '' }
+    ];
+
+    row.element.className = row.status;
+    row.element.replaceChildren(...cells.map(({ text, className }) => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      if (className) td.className = className;
+      return td;
+    }));
+
+    const actionCell = document.createElement('td');
+    if (row.status === 'failed' && !running) {
+      const retryBtn = document.createElement('button');
+      retryBtn.className = 'secondary';
+      retryBtn.textContent = 'Retry';
+      retryBtn.addEventListener('click', () => handleRetry([row]));
+      actionCell.appendChild(retryBtn);
+    }
+    row.element.appendChild(actionCell);
+  }
+
+  /**
+   * Update the progress bar and summary line
+   */
+  function updateProgress() {
+    const finished = rows.filter(row => row.status === 'done' || row.status === 'failed').length;
+    const failed = rows.filter(row => row.status === 'failed').length;
+
+    progress.max = rows.length || 1;
+    progress.value = finished;
+    statusDiv.textContent = `${finished} of ${rows.length} processed, ${failed} failed`;
+  }
+
+  /**
+   * Enable or disable the controls while a batch is running
+   * @param {boolean} isRunning - Whether a batch is in progress
+   */
+  function setRunning(isRunning) {
+    running = isRunning;
+    startBtn.disabled = isRunning;
+    cancelBtn.disabled = !isRunning;
+    retryFailedBtn.disabled = isRunning || !rows.some(row => row.status === 'failed');
+    exportCsvBtn.disabled = isRunning || !rows.length;
+    exportJsonBtn.disabled = isRunning || !rows.length;
+  }
+
+  /**
+   * Parse the given rows with the configured concurrency
+   * @param {object[]} batchRows - Rows to parse
+   */
+  async function runBatch(batchRows) {
+    const concurrency = Math.max(1, parseInt(concurrencyInput.value, 10) || 1);
+
+    cancelled = false;
+    setRunning(true);
+    await runQueue(batchRows, concurrency, parseRow);
+    setRunning(false);
+
+    // Re-render so failed rows get their retry buttons
+    batchRows.forEach(renderRow);
+    updateProgress();
+  }
+
+  /**
+   * Build the enriched export rows: source columns followed by the parsed fields.
+   * Parsed columns that clash with a source column are prefixed with "Parsed ".
+   * @returns {object[]} Export rows
+   */
+  function buildExportRows() {
+    const sourceColumns = Object.keys(rows[0] ? rows[0].source : {});
+    const parsedColumn = field => sourceColumns.includes(field) ? `Parsed ${field}` : field;
+
+    return rows.map(row => {
+      const data = row.response ? row.response.data : {};
+      return {
+        ...row.source,
+        ...Object.fromEntries(ADDRESS_FIELDS.map(field => [parsedColumn(field), data[field] || ''])),
+        'Parse Status': row.status === 'failed' ? `failed: ${row.error}` : row.status,
+        'Parse Method': row.response ? row.response.method : '',
+        'Parse Warnings': row.response ? getRowWarnings(row.response).join('; ') : ''
+      };
+    });
+  }
+
+  /**
+   * Load an uploaded CSV and offer its columns for the address
+   */
+  async function handleCsvUpload() {
+    const file = csvInput.files[0];
+    if (!file) {
+      csvData = null;
+      columnSelect.replaceChildren();
+      columnSelect.disabled = true;
+      return;
+    }
+
+    csvData = parseCsv(await file.text());
+    if (csvData.length < 2) {
+      statusDiv.textContent = 'The CSV needs a header row and at least one data row';
+      csvData = null;
+      return;
+    }
+
+    const header = csvData[0];
+    columnSelect.replaceChildren(...header.map(column => {
+      const option = document.createElement('option');
+      option.value = column;
+      option.textContent = column;
+      return option;
+    }));
+    // Preselect the column that looks most like an address
+    columnSelect.value = header.find(column => /address/i.test(column)) || header[0];
+    columnSelect.disabled = false;
+    statusDiv.textContent = `Loaded ${csvData.length - 1} rows from ${file.name}`;
+  }
+
+  /**
+   * Start a new batch from the current input
+   */
+  async function handleStart() {
+    const batch = buildRows();
+    if (!batch.rows.length) {
+      statusDiv.textContent = 'Paste some addresses or upload a CSV first';
+      return;
+    }
+
+    rows = batch.rows;
+    renderHeader();
+    resultsBody.replaceChildren();
+    rows.forEach(renderRow);
+    updateProgress();
+
+    await runBatch(rows);
+  }
+
+  /**
+   * Parse the given failed rows again
+   * @param {object[]} failedRows - Rows to retry
+   */
+  async function handleRetry(failedRows) {
+    if (running) return;
+    await runBatch(failedRows);
+  }
+
+  /**
+   * Stop the running batch: rows in flight are cancelled and the rest are skipped;
+   * both can be parsed again with Retry Failed
+   */
+  async function handleCancel() {
+    if (!running) return;
+
+    cancelled = true;
+    cancelBtn.disabled = true;
+    statusDiv.textContent = 'Cancelling...';
+    await Promise.all([...activeRequestIds].map(requestId =>
+      chrome.runtime.sendMessage({ type: 'cancelParse', requestId })));
+  }
+
+  startBtn.addEventListener('click', handleStart);
+  cancelBtn.addEventListener('click', handleCancel);
+  window.addEventListener('pagehide', handleCancel);
+  retryFailedBtn.addEventListener('click', () => handleRetry(rows.filter(row => row.status === 'failed')));
+  csvInput.addEventListener('change', handleCsvUpload);
+
+  exportCsvBtn.addEventListener('click', () => {
+    const exportRows = buildExportRows();
+    const columns = Object.keys(exportRows[0]);
+    const lines = [toCsvRow(columns), ...exportRows.map(row => toCsvRow(columns.map(column => row[column])))];
+    downloadFile(lines.join('\r\n'), 'addresses-parsed.csv', 'text/csv');
+  });
+
+  exportJsonBtn.addEventListener('click', () => {
+    downloadFile(JSON.stringify(buildExportRows(), null, 2), 'addresses-parsed.json', 'application/json');
+  });
+});
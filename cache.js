@@ -0,0 +1,95 @@
+/**
+ * LLM result cache for Address Parser Extension
+ *
+ * Persists LLM parses in chrome.storage.local so repeat addresses skip the
+ * chat-completions round trip. Entries expire after a TTL and the least
+ * recently used ones are evicted beyond the size limit.
+ * Loaded by the background service worker.
+ * Requires logger.js to be loaded first.
+ */
+
+const LLM_CACHE_STORAGE_KEY = 'llmCache';
+
+// Storage updates run one at a time so concurrent parses do not overwrite each other's entries
+let cacheUpdateQueue = Promise.resolve();
+
+/**
+ * Apply a change to the stored cache, then drop expired and excess entries
+ * @param {object} settings - Extension settings
+ * @param {Function} change - Called with the entries object (key -> entry) to modify in place
+ * @returns {Promise<void>}
+ */
+function updateCache(settings, change) {
+  cacheUpdateQueue = cacheUpdateQueue
+    .then(async () => {
+      const stored = await chrome.storage.local.get({ [LLM_CACHE_STORAGE_KEY]: {} });
+      const entries = stored[LLM_CACHE_STORAGE_KEY];
+      change(entries);
+
+      const kept = Object.entries(entries)
+        .filter(([, entry]) => !isCacheEntryExpired(entry, settings))
+        .sort(([, a], [, b]) => b.lastUsedAt - a.lastUsedAt)
+        .slice(0, settings.cacheMaxEntries);
+      await chrome.storage.local.set({ [LLM_CACHE_STORAGE_KEY]: Object.fromEntries(kept) });
+    })
+    .catch(error => log('error', 'Could not update the LLM cache', error));
+
+  return cacheUpdateQueue;
+}
+
+/**
+ * Whether an entry is older than the configured TTL
+ * @param {object} entry - Cache entry
+ * @param {object} settings - Extension settings
+ * @returns {boolean} True if the entry must not be used
+ */
+function isCacheEntryExpired(entry, settings) {
+  return settings.cacheTtlDays > 0 && Date.now() - entry.createdAt > settings.cacheTtlDays * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Look up a cached value and mark it as recently used
+ * @param {string} key - Cache key
+ * @param {object} settings - Extension settings
+ * @returns {Promise<object|null>} Cached value, or null on a miss
+ */
+async function readCache(key, settings) {
+  if (!settings.cacheMaxEntries) return null;
+
+  const stored = await chrome.storage.local.get({ [LLM_CACHE_STORAGE_KEY]: {} });
+  const entry = stored[LLM_CACHE_STORAGE_KEY][key];
+  if (!entry || isCacheEntryExpired(entry, settings)) return null;
+
+  updateCache(settings, entries => {
+    if (entries[key]) entries[key].lastUsedAt = Date.now();
+  });
+  return entry.value;
+}
+
+/**
+ * Store a value
+ * @param {string} key - Cache key
+ * @param {object} value - Value to cache
+ * @param {object} settings - Extension settings
+ * @returns {Promise<void>}
+ */
+async function writeCache(key, value, settings) {
+  if (!settings.cacheMaxEntries) return;
+
+  const now = Date.now();
+  await updateCache(settings, entries => {
+    entries[key] = { value, createdAt: now, lastUsedAt: now };
+  });
+}
+
+/**
+ * Remove the entries whose key matches
+ * @param {Function} predicate - Called with each key; true removes the entry
+ * @param {object} settings - Extension settings
+ * @returns {Promise<void>}
+ */
+async function deleteCacheEntries(predicate, settings) {
+  await updateCache(settings, entries => {
+    Object.keys(entries).filter(predicate).forEach(key => delete entries[key]);
+  });
+}
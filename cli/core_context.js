@@ -0,0 +1,76 @@
+/**
+ * Loads the address parsing core into a Node vm context
+ *
+ * The shared scripts are classic browser scripts that define globals, so they
+ * are run as they are. No extension APIs are provided: parser_core.js gets
+ * its storage-backed steps as hooks from the caller.
+ * Requires Node 20 or later (fetch, AbortSignal.any).
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const EXTENSION_ROOT = path.join(__dirname, '..');
+
+// parser_core.js and what it needs, in load order, plus the CSV and address list helpers
+const PARSER_CORE_SCRIPTS = [
+  'settings.js',
+  'logger.js',
+  'address_schema.js',
+  'us_reference.js',
+  'countries.js',
+  'validation.js',
+  'confidence.js',
+  'llm_client.js',
+  'examples.js',
+  'usps.js',
+  'ensemble.js',
+  'parser_core.js',
+  'segmentation.js',
+  'formatters.js'
+];
+
+/**
+ * Load the parsing core
+ * @param {object} [options]
+ * @param {boolean} [options.verbose] - Show the core's console output on stderr
+ * @returns {object} vm context holding the core's functions (runParsePipeline, parseCsv, ...)
+ */
+function loadParserCore({ verbose = false } = {}) {
+  const quiet = { log() {}, info() {}, debug() {}, warn() {}, error() {} };
+
+  const context = {
+    // stdout is kept for the results
+    console: verbose ? new console.Console({ stdout: process.stderr, stderr: process.stderr }) : quiet,
+    fetch,
+    // fetch rejects with this realm's TypeError, which llm_client.js tests for connection failures
+    TypeError,
+    URL,
+    AbortController,
+    AbortSignal,
+    performance,
+    setTimeout,
+    clearTimeout
+  };
+
+  vm.createContext(context);
+  PARSER_CORE_SCRIPTS.forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(EXTENSION_ROOT, file), 'utf8'), context, { filename: file });
+  });
+  // Details stay redacted; nothing is kept for a diagnostics page
+  context.configureLogger({ context: 'cli', level: 'debug' });
+  return context;
+}
+
+/**
+ * Read a top-level const of the core's scripts, which unlike functions
+ * are not properties of the context object
+ * @param {object} context - Context from loadParserCore
+ * @param {string} name - Constant name, e.g. "DEFAULT_SETTINGS"
+ * @returns {*} Value
+ */
+function readConstant(context, name) {
+  return vm.runInContext(name, context);
+}
+
+module.exports = { loadParserCore, readConstant };
@@ -0,0 +1,395 @@
+#!/usr/bin/env node
+/**
+ * Address parser command-line tool
+ *
+ * Parses addresses with the extension's parsing core (LLM with regex fallback)
+ * and prints the results as JSON, JSON Lines or CSV. Addresses come from the
+ * arguments, a CSV or JSON Lines file, or stdin (one per line, or blocks
+ * separated by a blank line, as in batch mode). Text holding several addresses,
+ * such as "Ship to:" and "Bill to:" lines, is split as in the popup.
+ *
+ * Usage: node cli/parse_addresses.js --help
+ */
+const fs = require('fs');
+const path = require('path');
+const { loadParserCore, readConstant } = require('./core_context');
+
+const DEFAULT_OPTIONS = {
+  input: '',
+  column: '',
+  format: 'json',
+  output: '',
+  settings: '',
+  llmUrl: '',
+  model: '',
+  apiKey: '',
+  structuredOutput: '',
+  examples: '',
+  verbose: false,
+  help: false
+};
+
+const USAGE = `Usage: node cli/parse_addresses.js [options] [address ...]
+
+Parses addresses with the extension's parser (LLM with regex fallback).
+Addresses come from the arguments, --input, or stdin (one per line, or
+blocks separated by a blank line). Text holding several addresses, such
+as "Ship to:" and "Bill to:" lines, gives one result per address.
+
+Options:
+  --input file            CSV or JSON Lines (.jsonl) file to read instead of arguments or stdin
+  --column name           Column holding the address (default: Raw Shipping Address, Raw Address or Address)
+  --format json|jsonl|csv Output format (default: json)
+  --output file           Write the results to a file instead of stdout
+  --settings file         JSON file of settings, named as in settings.js
+  --llm-url url           LLM server base URL
+  --model name            LLM model
+  --api-key key           LLM API key
+  --structured-output json_schema|tools|none
+                          How the reply format is enforced
+  --examples file         Few-shot example library exported from the examples page
+  --verbose               Show the parser's log on stderr
+  --help, -h              Show this help`;
+
+// Columns tried, in order, when --column is not given
+const DEFAULT_ADDRESS_COLUMNS = ['Raw Shipping Address', 'Raw Address', 'Address', 'address'];
+
+// Column name used for addresses given as arguments or on stdin, as in batch mode
+const PASTED_COLUMN = 'Raw Address';
+
+/**
+ * Read the command-line options
+ * @param {string[]} args - Arguments after the script name
+ * @returns {{options: object, addresses: string[]}} Options and the addresses given as arguments
+ */
+function parseArgs(args) {
+  const options = { ...DEFAULT_OPTIONS };
+  const addresses = [];
+  for (let index = 0; index < args.length; index++) {
+    const arg = args[index];
+    if (arg === '--verbose') {
+      options.verbose = true;
+    } else if (arg === '--help' || arg === '-h') {
+      // Other options are not checked, so --help works on any command line
+      return { options: { ...options, help: true }, addresses };
+    } else if (arg.startsWith('--')) {
+      // --llm-url -> llmUrl
+      const key = arg.slice(2).replace(/-(\w)/g, (match, letter) => letter.toUpperCase());
+      if (!(key in DEFAULT_OPTIONS) || index + 1 >= args.length) {
+        throw new Error(`Unknown option or missing value: ${arg}`);
+      }
+      options[key] = args[++index];
+    } else {
+      addresses.push(arg);
+    }
+  }
+
+  if (!['json', 'jsonl', 'csv'].includes(options.format)) {
+    throw new Error('--format must be "json", "jsonl" or "csv"');
+  }
+  if (options.structuredOutput && !['json_schema', 'tools', 'none'].includes(options.structuredOutput)) {
+    throw new Error('--structured-output must be "json_schema", "tools" or "none"');
+  }
+  if (options.input && addresses.length) {
+    throw new Error('Give addresses as arguments or with --input, not both');
+  }
+  return { options, addresses };
+}
+
+/**
+ * Build the settings: the extension's defaults, then the --settings file, then the options
+ * @param {object} core - Context from loadParserCore
+ * @param {object} options - Options from parseArgs
+ * @returns {object} Settings
+ */
+function buildSettings(core, options) {
+  const overrides = {
+    llmBaseUrl: options.llmUrl,
+    llmModel: options.model,
+    llmApiKey: options.apiKey,
+    structuredOutput: options.structuredOutput
+  };
+
+  return {
+    ...readConstant(core, 'DEFAULT_SETTINGS'),
+    ...(options.settings ? readJson(options.settings) : {}),
+    ...Object.fromEntries(Object.entries(overrides).filter(([, value]) => value))
+  };
+}
+
+/**
+ * Read the rows to parse from the arguments, the --input file or stdin. Each
+ * input holding several addresses gives one row per address, as in the popup.
+ * @param {object} core - Context from loadParserCore
+ * @param {object} options - Options from parseArgs
+ * @param {string[]} addresses - Addresses given as arguments
+ * @returns {Promise<object[]>} Rows with the source record, the address role, the address and the contact name
+ */
+async function readRows(core, options, addresses) {
+  const records = await readRecords(core, options, addresses);
+  return records.flatMap(({ source, text, contact }) => core.segmentAddresses(text)
+    .map(({ role, text: address }) => ({ source, role, address, contact })));
+}
+
+/**
+ * Read the input records from the arguments, the --input file or stdin
+ * @param {object} core - Context from loadParserCore
+ * @param {object} options - Options from parseArgs
+ * @param {string[]} addresses - Addresses given as arguments
+ * @returns {Promise<object[]>} Records with the source record, the raw address text and the contact name
+ */
+async function readRecords(core, options, addresses) {
+  if (!options.input) {
+    const texts = addresses.length ? addresses : core.splitPastedAddresses(await readStdin());
+    return texts.map(text => ({ source: { [PASTED_COLUMN]: text }, text, contact: '' }));
+  }
+
+  const text = fs.readFileSync(options.input, 'utf8');
+  const records = /\.(jsonl|ndjson)$/i.test(options.input) ? readJsonLines(text) : readCsvRecords(core, text);
+  const columns = [...new Set(records.flatMap(Object.keys))];
+  const column = pickAddressColumn(columns, options.column);
+
+  return records.map(source => ({
+    source,
+    text: String(source[column] ?? ''),
+    // The contact is recognized as the recipient, as in the popup
+    contact: String(source.Contact || '')
+  }));
+}
+
+/**
+ * Turn CSV text into records keyed by the header row
+ * @param {object} core - Context from loadParserCore
+ * @param {string} text - CSV text
+ * @returns {object[]} Records
+ */
+function readCsvRecords(core, text) {
+  const [header, ...rows] = core.parseCsv(text);
+  if (!header || !rows.length) {
+    throw new Error('The CSV needs a header row and at least one data row');
+  }
+  return rows.map(cells => Object.fromEntries(header.map((column, index) => [column, cells[index] || ''])));
+}
+
+/**
+ * Read JSON Lines: each line an object, or a string holding the address
+ * @param {string} text - File contents
+ * @returns {object[]} Records
+ */
+function readJsonLines(text) {
+  return text.split('\n').filter(line => line.trim()).map((line, index) => {
+    let value;
+    try {
+      value = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Line ${index + 1} is not valid JSON: ${error.message}`);
+    }
+    return typeof value === 'string' ? { [PASTED_COLUMN]: value } : value;
+  });
+}
+
+/**
+ * Pick the column holding the address
+ * @param {string[]} columns - Columns of the input
+ * @param {string} requested - Column given with --column, if any
+ * @returns {string} Column name
+ */
+function pickAddressColumn(columns, requested) {
+  if (requested && !columns.includes(requested)) {
+    throw new Error(`No column "${requested}" (columns: ${columns.join(', ')})`);
+  }
+  if (requested) return requested;
+
+  const column = DEFAULT_ADDRESS_COLUMNS.find(name => columns.includes(name)) || (columns.length === 1 ? columns[0] : '');
+  if (!column) {
+    throw new Error(`Pick the address column with --column (columns: ${columns.join(', ')})`);
+  }
+  return column;
+}
+
+/**
+ * Build the storage-backed steps of the pipeline. Nothing is cached between runs;
+ * the circuit breaker is kept in memory so a server that is down is not waited
+ * on for every remaining address.
+ * @param {object} core - Context from loadParserCore
+ * @param {object} settings - Settings
+ * @param {object[]} examples - Example library
+ * @returns {object} Hooks for runParsePipeline
+ */
+function createHooks(core, settings, examples) {
+  let circuit = { failures: 0, openedAt: 0 };
+  return {
+    loadExamples: async () => examples,
+    getCircuit: async () => core.describeCircuit(circuit, settings),
+    recordFailure: async () => {
+      circuit = core.addCircuitFailure(core.describeCircuit(circuit, settings), settings);
+    },
+    recordSuccess: async () => {
+      circuit = { failures: 0, openedAt: 0 };
+    }
+  };
+}
+
+/**
+ * Load an example library exported from the examples page, skipping unusable entries
+ * @param {object} core - Context from loadParserCore
+ * @param {string} file - Path
+ * @returns {object[]} Examples
+ */
+function readExamples(core, file) {
+  const examples = readJson(file);
+  if (!Array.isArray(examples)) {
+    throw new Error(`Examples file ${file} must be a JSON list`);
+  }
+  return examples
+    .filter(example => !core.validateExample(example).length)
+    .map(example => ({ ...example, fields: core.completeExampleFields(example.fields) }));
+}
+
+/**
+ * Parse the rows one after another, so the local LLM is not flooded
+ * @param {object} core - Context from loadParserCore
+ * @param {object[]} rows - Rows from readRows
+ * @param {object} settings - Settings
+ * @param {object} hooks - Hooks from createHooks
+ * @returns {Promise<void>} Resolves when every row has a result or an error
+ */
+async function parseRows(core, rows, settings, hooks) {
+  for (const row of rows) {
+    try {
+      if (!row.address) {
+        throw new Error('Empty address');
+      }
+      row.result = await core.runParsePipeline(row.address, settings, { contact: row.contact, hooks });
+    } catch (error) {
+      row.error = error.message;
+    }
+  }
+}
+
+/**
+ * Format the results
+ * @param {object} core - Context from loadParserCore
+ * @param {object[]} rows - Parsed rows
+ * @param {string} format - "json", "jsonl" or "csv"
+ * @returns {string} Output text
+ */
+function formatRows(core, rows, format) {
+  if (format === 'csv') {
+    return formatCsv(core, rows);
+  }
+
+  const records = rows.map(row => row.result
+    ? { input: row.source, role: row.role, address: row.address, ...row.result }
+    : { input: row.source, role: row.role, address: row.address, error: row.error });
+  return format === 'jsonl'
+    ? records.map(record => JSON.stringify(record)).join('\n')
+    : JSON.stringify(records, null, 2);
+}
+
+/**
+ * Format the results like a batch mode CSV export: the input columns followed
+ * by the parsed fields, prefixed with "Parsed " where they clash with an input column.
+ * Parse Role tells apart the rows of an input that held several addresses.
+ * @param {object} core - Context from loadParserCore
+ * @param {object[]} rows - Parsed rows
+ * @returns {string} CSV text
+ */
+function formatCsv(core, rows) {
+  const addressFields = readConstant(core, 'ADDRESS_FIELDS');
+  const sourceColumns = [...new Set(rows.flatMap(row => Object.keys(row.source)))];
+  const parsedColumn = field => sourceColumns.includes(field) ? `Parsed ${field}` : field;
+  const columns = [...sourceColumns, ...addressFields.map(parsedColumn), 'Parse Role', 'Parse Status', 'Parse Method', 'Parse Warnings'];
+
+  const lines = rows.map(row => {
+    const data = row.result ? row.result.data : {};
+    const warnings = row.result ? [
+      ...row.result.validation.warnings,
+      ...row.result.disagreements.map(disagreement => core.describeDisagreement(disagreement))
+    ] : [];
+    return core.toCsvRow([
+      ...sourceColumns.map(column => typeof row.source[column] === 'object' ? JSON.stringify(row.source[column]) : row.source[column]),
+      ...addressFields.map(field => data[field]),
+      row.role,
+      row.error ? `failed: ${row.error}` : 'done',
+      row.result ? row.result.method : '',
+      warnings.join('; ')
+    ]);
+  });
+
+  return [core.toCsvRow(columns), ...lines].join('\r\n');
+}
+
+/**
+ * Read all of stdin
+ * @returns {Promise<string>} Text
+ */
+async function readStdin() {
+  if (process.stdin.isTTY) {
+    throw new Error('Give addresses as arguments, with --input, or on stdin');
+  }
+  let text = '';
+  for await (const chunk of process.stdin) {
+    text += chunk;
+  }
+  return text;
+}
+
+/**
+ * Read a JSON file
+ * @param {string} file - Path
+ * @returns {*} Parsed JSON
+ */
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Run the tool
+ * @param {{options: object, addresses: string[]}} args - Output of parseArgs
+ * @returns {Promise<void>}
+ */
+async function main({ options, addresses }) {
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const core = loadParserCore({ verbose: options.verbose });
+  const settings = buildSettings(core, options);
+  const examples = options.examples ? readExamples(core, options.examples) : [];
+
+  const rows = await readRows(core, options, addresses);
+  if (!rows.length) {
+    throw new Error('No addresses to parse');
+  }
+
+  await parseRows(core, rows, settings, createHooks(core, settings, examples));
+
+  const text = `${formatRows(core, rows, options.format)}\n`;
+  if (options.output) {
+    fs.writeFileSync(options.output, text);
+  } else {
+    process.stdout.write(text);
+  }
+
+  const failed = rows.filter(row => row.error).length;
+  const fallbacks = rows.filter(row => row.result && row.result.llmError);
+  if (fallbacks.length) {
+    console.error(`${fallbacks.length} of ${rows.length} address(es) parsed with regex: ${fallbacks[0].result.llmError}`);
+  }
+  if (failed) {
+    console.error(`${failed} of ${rows.length} address(es) failed`);
+    process.exitCode = 1;
+  }
+  if (options.output) {
+    console.error(`Wrote ${rows.length} result(s) to ${path.relative(process.cwd(), options.output)}`);
+  }
+}
+
+Promise.resolve()
+  .then(() => main(parseArgs(process.argv.slice(2))))
+  .catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,76 @@
+/**
+ * Confidence scoring for Address Parser Extension
+ *
+ * Compares the LLM and regex results field by field and turns the
+ * agreement and validation outcome into a 0-1 confidence per field.
+ * In ensemble mode the disagreements are the fields the sources split on.
+ */
+
+// Starting confidence for a field, before agreement and validation adjustments
+const BASE_CONFIDENCE = { llm: 0.8, regex: 0.6 };
+
+/**
+ * Normalize a field value for comparison (case, punctuation, spacing)
+ * @param {string} value - Field value
+ * @returns {string} Comparable value
+ */
+function normalizeForComparison(value) {
+  return (value || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+/**
+ * List the fields where the LLM and regex results differ
+ * @param {object} llmResult - Result from the LLM
+ * @param {object} regexResult - Result from the regex parser
+ * @returns {{field: string, llm: string, regex: string}[]} Disagreements
+ */
+function findDisagreements(llmResult, regexResult) {
+  return ADDRESS_FIELDS
+    .filter(field => normalizeForComparison(llmResult[field]) !== normalizeForComparison(regexResult[field]))
+    .map(field => ({ field, llm: llmResult[field], regex: regexResult[field] }));
+}
+
+/**
+ * Describe a disagreement for the user
+ * @param {{field: string, llm: string, regex: string, votes: object[]}} disagreement - Entry of a result's
+ *   disagreements; the votes are only there for ensemble results
+ * @param {string} [prefix] - Text before the field name, e.g. "Billing "
+ * @returns {string} e.g. 'LLM and regex disagree on City: "Austin" vs "Dallas"'
+ */
+function describeDisagreement({ field, llm, regex, votes }, prefix = '') {
+  if (!votes) {
+    return `LLM and regex disagree on ${prefix}${field}: "${llm}" vs "${regex}"`;
+  }
+  return `Sources disagree on ${prefix}${field}: ${votes.map(vote => `"${vote.value}" (${vote.sources.join(', ')})`).join(' vs ')}`;
+}
+
+/**
+ * Score each field of a result between 0 and 1
+ * @param {object} result - The result being returned
+ * @param {object} context - How the result was produced
+ * @param {string} context.method - "llm" or "regex"
+ * @param {object} context.validation - Output of validateAddress
+ * @param {object[]} context.disagreements - Output of findDisagreements or findContestedFields, empty for regex results
+ * @returns {object} Confidence per field
+ */
+function scoreConfidence(result, { method, validation, disagreements }) {
+  const disputed = new Set(disagreements.map(disagreement => disagreement.field));
+
+  return Object.fromEntries(ADDRESS_FIELDS.map(field => {
+    let score = BASE_CONFIDENCE[method];
+
+    // A second, independent parser reaching the same value is strong evidence
+    if (method === 'llm') {
+      score = disputed.has(field) ? score - 0.2 : score + 0.15;
+    }
+
+    const { status } = validation.fields[field];
+    if (status === 'invalid') {
+      score = Math.min(score, 0.2);
+    } else if (status === 'warning') {
+      score = Math.min(score, 0.4);
+    }
+
+    return [field, Math.round(score * 100) / 100];
+  }));
+}
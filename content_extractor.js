@@ -1,126 +1,603 @@
 /**
  * Content script for Address Parser Chrome Extension
  * 
- * This script extracts shipping information from sales order pages
- * and communicates it back to the extension.
+ * This script extracts shipping and billing information from sales order pages
+ * and communicates it back to the extension. It also copies the result of
+ * "Parse selected address" and shows it in a toast on any page.
+ * Requires settings.js, logger.js and countries.js to be loaded first.
  */
 
+startLogger("content");
+
 // Listen for messages from the popup
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.action === "extractPageData") {
-    console.log("[Address Parser] Extracting page data...");
+    log("info", "Extracting page data");
+    
+    getSettings()
+      .then(settings => extractOrderData(settings.extractionRules))
+      .then(sendResponse)
+      .catch(error => sendResponse({ success: false, error: error.message }));
+  } else if (message.action === "fillForm") {
+    log("info", "Filling edit form");
     
-    const result = extractOrderData();
-    sendResponse(result);
+    getSettings()
+      .then(settings => sendResponse(fillEditForm(settings.extractionRules, message.addresses)))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+  } else if (message.action === "getSelection") {
+    sendResponse({ text: getSelectedText() });
+  } else if (message.action === "showParseResult") {
+    handleShowParseResult(message).then(sendResponse);
   }
   return true; // Keep the message channel open for async response
 });
 
+// Salesforce Lightning record layout markup
+const LAYOUT_ITEM_SELECTOR = "records-record-layout-item";
+const LAYOUT_LABEL_SELECTOR = ".test-id__field-label, .slds-form-element__label";
+const LAYOUT_VALUE_SELECTOR = ".test-id__field-value, .slds-form-element__control";
+const LAYOUT_TAB_SELECTOR = "[role='tab']";
+// Tab containers; the record page's is the one holding the layout fields, not those of related lists or utilities
+const LAYOUT_TABSET_SELECTOR = "lightning-tabset, .slds-tabs_default, .slds-tabs_scoped";
+
+// Time for Lightning to render a tab's content after it is opened
+const TAB_RENDER_DELAY_MS = 500;
+
+// Open edit dialogs; the form is searched here before falling back to the whole page
+const EDIT_DIALOG_SELECTOR = "[role='dialog'], .modal-container";
+// Highlight for inputs filled by the extension, so the user reviews them before saving
+const FILLED_INPUT_STYLE = "outline: 2px solid #f57c00; background-color: #fff3e0;";
+
+// How long the "Parse selected address" toast stays on the page
+const TOAST_DURATION_MS = 6000;
+const TOAST_HOST_ID = "address-parser-toast";
+
 /**
- * Extract order data from the page using a simplified approach
- * that matches the original bookmarklet more closely
+ * Extract order data from the page using the first extraction rule
+ * that finds an address. Lightning record layouts are read structurally;
+ * the page text is the fallback.
+ * @param {object[]} rules - Extraction rules from the settings
+ * @returns {Promise<object>} Result with the data, the matched rule, the source and any missing fields
  */
-function extractOrderData() {
-  console.log("[Address Parser] Starting extraction");
+async function extractOrderData(rules) {
+  log("debug", "Starting extraction");
   
   try {
-    // Get the page text content
-    let pageText = document.body.innerText.trim();
-    
-    // Find start and end markers for the section we care about
-    let startIndex = pageText.indexOf("Sales Order Name");
-    let endIndex = pageText.indexOf("Last Modified By");
-    
-    if (startIndex === -1 || endIndex === -1) {
-      console.log("[Address Parser] Could not find markers");
-      return { 
-        success: false, 
-        error: "Could not find required fields on page" 
-      };
+    let applicableRules = rules.filter(rule => !rule.urlPattern || new RegExp(rule.urlPattern).test(location.href));
+    if (!applicableRules.length) {
+      return { success: false, error: "No extraction rule applies to this page" };
     }
     
-    // Extract the relevant section
-    let extractedText = pageText.substring(startIndex, endIndex + 20);
-    let lines = extractedText.split("\n").map(line => line.trim()).filter(line => line);
-    
-    console.log("[Address Parser] Found", lines.length, "lines");
-    
-    // Prepare the extracted data object
-    let extractedData = {};
-    
-    // Find specific fields (account, contact)
-    for (let i = 0; i < lines.length; i++) {
-      let currLine = lines[i];
-      
-      if (currLine === "Account" && i + 1 < lines.length) {
-        extractedData["Account"] = lines[i + 1];
-      } else if (currLine === "Contact" && i + 1 < lines.length) {
-        extractedData["Contact"] = lines[i + 1];
-      }
-    }
-    
-    // Look specifically for shipping address section
-    let shippingIndex = -1;
-    for (let i = 0; i < lines.length; i++) {
-      if (lines[i] === "Shipping Address") {
-        shippingIndex = i;
-        break;
-      }
-    }
-    
-    // If shipping address found, extract the next few lines as the address
-    if (shippingIndex !== -1 && shippingIndex + 1 < lines.length) {
-      // Maximum of 5 lines for address or until "Edit" is found
-      let addressLines = [];
-      let maxAddressLines = 5;
-      let j = shippingIndex + 1;
-      
-      while (j < lines.length && 
-             addressLines.length < maxAddressLines && 
-             j < shippingIndex + 10) {  // Safety limit
-        
-        let line = lines[j].trim();
-        
-        // Stop if we hit "Edit" keyword or other field labels
-        if (line.startsWith("Edit") || 
-            line === "Billing Frequency" || 
-            line === "Expected Delivery Date" ||
-            line === "System Quantities" ||
-            line === "Service Type") {
-          break;
-        }
-        
-        // Add the line to our address
-        addressLines.push(line);
-        j++;
-      }
-      
-      // Join the address lines with newlines
-      if (addressLines.length > 0) {
-        extractedData["Raw Shipping Address"] = addressLines.join('\n');
-      }
+    // Read label/value pairs from the record layout, opening lazy tabs if the address blocks are missing
+    let layoutFields = collectLayoutFields();
+    let layoutAttempts = applicableRules.map(rule => applyLayoutRule(rule, layoutFields));
+    if (layoutFields.size && layoutAttempts.every(attempt => attempt.missingAddresses.length)) {
+      await collectLazyTabFields(layoutFields);
+      layoutAttempts = applicableRules.map(rule => applyLayoutRule(rule, layoutFields));
     }
     
-    console.log("[Address Parser] Extracted data:", extractedData);
+    // Fall back to the page text
+    let pageText = document.body.innerText.trim();
+    let textAttempts = applicableRules.map(rule => applyExtractionRule(rule, pageText));
     
-    // Check if we got a shipping address
-    if (!extractedData["Raw Shipping Address"]) {
+    let match = layoutAttempts.find(attempt => attempt.addressCount > 0) ||
+      textAttempts.find(attempt => attempt.addressCount > 0);
+    if (match) {
+      log("info", "Rule matched", { rule: match.rule, source: match.source, missingFields: match.missingFields });
       return {
-        success: false,
-        error: "No shipping address found"
+        success: true,
+        data: match.data,
+        rule: match.rule,
+        source: match.source,
+        missingFields: match.missingFields
       };
     }
     
+    log("warn", "No rule found an address", { rules: textAttempts.map(attempt => attempt.rule) });
     return {
-      success: true,
-      data: extractedData
+      success: false,
+      error: "No address found",
+      attempts: textAttempts.map(attempt => ({ rule: attempt.rule, missingFields: attempt.missingFields }))
     };
     
   } catch (error) {
-    console.error("[Address Parser] Extraction error:", error);
+    log("error", "Extraction error", error);
     return {
       success: false,
       error: error.message || "Unknown error during extraction"
     };
   }
-} 
\ No newline at end of file
+}
+
+/**
+ * querySelectorAll that also searches open shadow roots and same-origin iframes
+ * @param {Document|ShadowRoot|Element} root - Where to start
+ * @param {string} selector - CSS selector
+ * @returns {Element[]} Matching elements
+ */
+function deepQuerySelectorAll(root, selector) {
+  let results = [...root.querySelectorAll(selector)];
+  
+  for (let element of root.querySelectorAll("*")) {
+    if (element.shadowRoot) {
+      results.push(...deepQuerySelectorAll(element.shadowRoot, selector));
+    }
+    if (element.tagName === "IFRAME") {
+      try {
+        if (element.contentDocument) {
+          results.push(...deepQuerySelectorAll(element.contentDocument, selector));
+        }
+      } catch (error) {
+        // Cross-origin frames cannot be read from here
+      }
+    }
+  }
+  
+  return results;
+}
+
+/**
+ * Read the label/value pairs of the Lightning record layout on the page
+ * @param {Map<string, string>} [fields] - Map to add to; labels already present are kept
+ * @returns {Map<string, string>} Field label to value text (multi-line for addresses)
+ */
+function collectLayoutFields(fields = new Map()) {
+  for (let item of deepQuerySelectorAll(document, LAYOUT_ITEM_SELECTOR)) {
+    let labelElement = deepQuerySelectorAll(item, LAYOUT_LABEL_SELECTOR)[0];
+    let valueElement = deepQuerySelectorAll(item, LAYOUT_VALUE_SELECTOR)[0];
+    if (!labelElement || !valueElement) continue;
+    
+    let label = labelElement.textContent.trim();
+    let value = readElementText(valueElement);
+    if (label && value && !fields.has(label)) {
+      fields.set(label, value);
+    }
+  }
+  
+  return fields;
+}
+
+/**
+ * Text of an element as lines, including text inside open shadow roots
+ * @param {Element} element - Element to read
+ * @returns {string} Trimmed, non-empty lines joined with newlines
+ */
+function readElementText(element) {
+  let text = element.shadowRoot ? element.shadowRoot.textContent : element.innerText;
+  let nestedShadowText = [...element.querySelectorAll("*")]
+    .filter(child => child.shadowRoot)
+    .map(child => readElementText(child));
+  
+  return [text, ...nestedShadowText]
+    .join("\n")
+    .split("\n")
+    .map(line => line.trim())
+    .filter(line => line)
+    .join("\n");
+}
+
+/**
+ * Closest ancestor matching a selector, continuing past shadow roots to their hosts
+ * @param {Element} element - Where to start
+ * @param {string} selector - CSS selector
+ * @returns {Element|null} Matching ancestor or the element itself
+ */
+function findClosest(element, selector) {
+  for (let current = element; current; current = current.getRootNode().host) {
+    let match = current.closest(selector);
+    if (match) return match;
+  }
+  return null;
+}
+
+/**
+ * Find the record page's tabset: the innermost one holding layout fields
+ * @returns {Element|null} Tabset, or null when the layout is not in tabs
+ */
+function findRecordTabset() {
+  return deepQuerySelectorAll(document, LAYOUT_ITEM_SELECTOR)
+    .map(item => findClosest(item, LAYOUT_TABSET_SELECTOR))
+    .find(Boolean) || null;
+}
+
+/**
+ * Open each tab of the record page's tabset that is not selected so Lightning
+ * renders its fields, collect them, then return to the originally selected tab.
+ * Tabs of other tabsets (related lists, activity, nested tabsets) are not touched.
+ * @param {Map<string, string>} fields - Map of layout fields to add to
+ * @returns {Promise<void>}
+ */
+async function collectLazyTabFields(fields) {
+  let tabset = findRecordTabset();
+  if (!tabset) return;
+  
+  let tabs = deepQuerySelectorAll(tabset, LAYOUT_TAB_SELECTOR)
+    .filter(tab => findClosest(tab, LAYOUT_TABSET_SELECTOR) === tabset);
+  let selectedTabs = tabs.filter(tab => tab.getAttribute("aria-selected") === "true");
+  let unselectedTabs = tabs.filter(tab => tab.getAttribute("aria-selected") !== "true");
+  
+  for (let tab of unselectedTabs) {
+    tab.click();
+    await new Promise(resolve => setTimeout(resolve, TAB_RENDER_DELAY_MS));
+    collectLayoutFields(fields);
+  }
+  
+  // Restore the tabs the user was looking at
+  if (unselectedTabs.length) {
+    selectedTabs.forEach(tab => tab.click());
+  }
+}
+
+/**
+ * Apply one extraction rule to the record layout fields
+ * @param {object} rule - Extraction rule
+ * @param {Map<string, string>} fields - Layout field label to value text
+ * @returns {{rule: string, source: string, data: object, addressCount: number, missingFields: string[],
+ *   missingAddresses: string[]}}
+ */
+function applyLayoutRule(rule, fields) {
+  let extractedData = {};
+  
+  for (let [field, label] of Object.entries(rule.fieldLabels || {})) {
+    if (fields.has(label)) {
+      extractedData[field] = fields.get(label).split("\n")[0];
+    }
+  }
+  
+  for (let [role, label] of Object.entries(getAddressBlocks(rule))) {
+    let addressLines = fields.has(label) ? fields.get(label).split("\n") : [];
+    let stopLabels = rule.stopLabels || [];
+    let stopIndex = addressLines.findIndex(line => stopLabels.some(stopLabel => line.startsWith(stopLabel)));
+    addressLines = addressLines.slice(0, stopIndex === -1 ? addressLines.length : stopIndex).slice(0, rule.maxLines || 5);
+    
+    if (addressLines.length > 0) {
+      extractedData[`Raw ${role} Address`] = addressLines.join("\n");
+    }
+  }
+  
+  return summarizeAttempt(rule, "layout", extractedData);
+}
+
+/**
+ * Address blocks of a rule; older rules name a single shipping block with addressLabel
+ * @param {object} rule - Extraction rule
+ * @returns {object} Address role to page label
+ */
+function getAddressBlocks(rule) {
+  return rule.addressBlocks || { Shipping: rule.addressLabel };
+}
+
+/**
+ * Describe what an extraction attempt found
+ * @param {object} rule - Extraction rule
+ * @param {string} source - "layout" or "text"
+ * @param {object} extractedData - Extracted fields
+ * @returns {{rule: string, source: string, data: object, addressCount: number, missingFields: string[],
+ *   missingAddresses: string[]}}
+ */
+function summarizeAttempt(rule, source, extractedData) {
+  let addressFields = Object.keys(getAddressBlocks(rule)).map(role => `Raw ${role} Address`);
+  let outputFields = [...Object.keys(rule.fieldLabels || {}), ...addressFields];
+  
+  return {
+    rule: rule.name,
+    source,
+    data: extractedData,
+    addressCount: addressFields.filter(field => extractedData[field]).length,
+    missingFields: outputFields.filter(field => !extractedData[field]),
+    missingAddresses: addressFields.filter(field => !extractedData[field])
+  };
+}
+
+/**
+ * Apply one extraction rule to the page text
+ * @param {object} rule - Extraction rule
+ * @param {string} pageText - The page's innerText
+ * @returns {{rule: string, source: string, data: object, addressCount: number, missingFields: string[],
+ *   missingAddresses: string[]}}
+ */
+function applyExtractionRule(rule, pageText) {
+  let extractedData = {};
+  let addressBlocks = getAddressBlocks(rule);
+  
+  // Find start and end markers for the section we care about
+  let startIndex = rule.startMarker ? pageText.indexOf(rule.startMarker) : 0;
+  let endIndex = rule.endMarker ? pageText.indexOf(rule.endMarker, Math.max(startIndex, 0)) : pageText.length;
+  
+  if (startIndex === -1 || endIndex === -1) {
+    log("debug", "Could not find markers for rule", { rule: rule.name });
+    return summarizeAttempt(rule, "text", extractedData);
+  }
+  
+  // Extract the relevant section
+  let extractedText = pageText.substring(startIndex, endIndex + (rule.endMarker || "").length);
+  let lines = extractedText.split("\n").map(line => line.trim()).filter(line => line);
+  
+  log("debug", "Found lines between the markers", { lines: lines.length });
+  
+  // Find scalar fields: the value is the line after the label
+  for (let [field, label] of Object.entries(rule.fieldLabels || {})) {
+    let labelIndex = lines.indexOf(label);
+    if (labelIndex !== -1 && labelIndex + 1 < lines.length) {
+      extractedData[field] = lines[labelIndex + 1];
+    }
+  }
+  
+  // An address block also ends at the next address block or field label
+  let stopLabels = [...(rule.stopLabels || []), ...Object.values(addressBlocks), ...Object.values(rule.fieldLabels || {})];
+  
+  for (let [role, label] of Object.entries(addressBlocks)) {
+    let addressLines = extractAddressLines(lines, label, stopLabels, rule.maxLines || 5);
+    
+    // Join the address lines with newlines
+    if (addressLines.length > 0) {
+      extractedData[`Raw ${role} Address`] = addressLines.join('\n');
+    }
+  }
+  
+  log("debug", "Extracted data", extractedData);
+  
+  return summarizeAttempt(rule, "text", extractedData);
+}
+
+/**
+ * Collect the lines of an address block following its label
+ * @param {string[]} lines - Page lines
+ * @param {string} label - Label line of the address block
+ * @param {string[]} stopLabels - The address ends at a line starting with any of these
+ * @param {number} maxLines - Maximum number of address lines
+ * @returns {string[]} Address lines, empty when the label is not found
+ */
+function extractAddressLines(lines, label, stopLabels, maxLines) {
+  let addressLines = [];
+  let labelIndex = lines.indexOf(label);
+  
+  if (labelIndex === -1) {
+    return addressLines;
+  }
+  
+  for (let j = labelIndex + 1; j < lines.length && addressLines.length < maxLines; j++) {
+    // Stop if we hit another field label
+    if (stopLabels.some(stopLabel => lines[j].startsWith(stopLabel))) {
+      break;
+    }
+    addressLines.push(lines[j]);
+  }
+  
+  return addressLines;
+}
+
+/**
+ * Fill the address inputs of the open edit form with parsed fields
+ * @param {object[]} rules - Extraction rules from the settings
+ * @param {object} addresses - Address role to parsed fields (canonical names)
+ * @returns {{success: boolean, filled?: string[], notFound?: string[], error?: string}} Labels of the inputs
+ *   that were filled and of those missing from the form
+ */
+function fillEditForm(rules, addresses) {
+  let rule = rules.find(candidate => candidate.formFields &&
+    (!candidate.urlPattern || new RegExp(candidate.urlPattern).test(location.href)));
+  if (!rule) {
+    return { success: false, error: "No extraction rule with formFields applies to this page" };
+  }
+  
+  let dialogs = deepQuerySelectorAll(document, EDIT_DIALOG_SELECTOR);
+  let inputs = dialogs.length ? findLabeledInputs(dialogs[dialogs.length - 1]) : new Map();
+  if (!inputs.size) {
+    inputs = findLabeledInputs(document);
+  }
+  if (!inputs.size) {
+    return { success: false, error: "No edit form found. Open the record's edit dialog first." };
+  }
+  
+  let filled = [];
+  let notFound = [];
+  // Picklists with no option for the value are left as they were
+  let unmatched = [];
+  
+  for (let [role, data] of Object.entries(addresses)) {
+    // Group the fields by input label, so e.g. Address 1 and Address 2 share the street input
+    let values = new Map();
+    for (let [field, label] of Object.entries(rule.formFields[role] || {})) {
+      if (!values.has(label)) values.set(label, { parts: [], aliases: [] });
+      if (data[field]) values.get(label).parts.push(data[field]);
+      // A Country picklist may list "United States" or "US" for "USA"
+      if (field === "Country" && data[field]) values.get(label).aliases.push(...getCountryNames(data[field]));
+    }
+    
+    for (let [label, { parts, aliases }] of values) {
+      let input = inputs.get(label);
+      if (!input) {
+        notFound.push(label);
+        continue;
+      }
+      if (!setInputValue(input, parts.join("\n"), aliases)) {
+        unmatched.push(label);
+        continue;
+      }
+      input.style.cssText += FILLED_INPUT_STYLE;
+      filled.push(label);
+    }
+  }
+  
+  log("info", "Filled inputs", { filled, notFound, unmatched });
+  return { success: true, filled, notFound, unmatched };
+}
+
+/**
+ * Find the form inputs under a root by their visible or accessible label
+ * @param {Document|Element} root - Form container
+ * @returns {Map<string, HTMLElement>} Label to input, textarea or select
+ */
+function findLabeledInputs(root) {
+  let inputs = new Map();
+  
+  for (let input of deepQuerySelectorAll(root, "input, textarea, select")) {
+    let label = getInputLabel(input);
+    if (label && !inputs.has(label)) {
+      inputs.set(label, input);
+    }
+  }
+  
+  return inputs;
+}
+
+/**
+ * Label text of a form input: aria-label, aria-labelledby, an associated
+ * <label> or a wrapping <label>. Required markers such as "*" are dropped.
+ * @param {HTMLElement} input - Form input
+ * @returns {string} Label text, or an empty string
+ */
+function getInputLabel(input) {
+  let inputRoot = input.getRootNode();
+  let labelledBy = (input.getAttribute("aria-labelledby") || "")
+    .split(/\s+/)
+    .map(id => id && inputRoot.getElementById && inputRoot.getElementById(id))
+    .filter(Boolean);
+  let label = input.getAttribute("aria-label") ||
+    labelledBy.map(element => element.textContent).join(" ") ||
+    (input.labels && input.labels[0] && input.labels[0].textContent) ||
+    (input.closest("label") && input.closest("label").textContent) ||
+    "";
+  
+  return label.replace(/^\s*\*/, "").replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Set an input's value the way typing would, so Lightning picks up the change.
+ * A select is set to the option whose value or text is the value or one of its aliases.
+ * @param {HTMLElement} input - Input, textarea or select
+ * @param {string} value - New value
+ * @param {string[]} [aliases] - Other ways to write the value, tried in order after it
+ * @returns {boolean} False if a select has no matching option; it is then left unchanged
+ */
+function setInputValue(input, value, aliases = []) {
+  if (input.tagName === "SELECT") {
+    let option = [value, ...aliases]
+      .map(candidate => candidate.toLowerCase())
+      .map(candidate => [...input.options].find(choice =>
+        choice.value.toLowerCase() === candidate || choice.text.trim().toLowerCase() === candidate))
+      .find(Boolean);
+    if (!option) return false;
+    value = option.value;
+  }
+  
+  // Lightning components track values through the native setter, so bypass any override on the element
+  let prototype = Object.getPrototypeOf(input);
+  let descriptor = Object.getOwnPropertyDescriptor(prototype, "value");
+  if (descriptor && descriptor.set) {
+    descriptor.set.call(input, value);
+  } else {
+    input.value = value;
+  }
+  
+  input.dispatchEvent(new Event("input", { bubbles: true, composed: true }));
+  input.dispatchEvent(new Event("change", { bubbles: true, composed: true }));
+  input.dispatchEvent(new Event("blur", { composed: true }));
+  return true;
+}
+
+/**
+ * Read the selected text, including a selection inside an input or textarea
+ * @returns {string} Selected text with its line breaks
+ */
+function getSelectedText() {
+  let active = document.activeElement;
+  if (active && (active.tagName === "TEXTAREA" || active.tagName === "INPUT") &&
+      typeof active.selectionStart === "number" && active.selectionEnd > active.selectionStart) {
+    return active.value.slice(active.selectionStart, active.selectionEnd);
+  }
+  return window.getSelection().toString();
+}
+
+/**
+ * Copy a "Parse selected address" result and show the outcome in a toast
+ * @param {object} result - success, message, warnings and the text to copy
+ * @returns {Promise<object>} Whether the text was copied
+ */
+async function handleShowParseResult(result) {
+  let copied = false;
+  if (result.success && result.copyText) {
+    copied = await copyText(result.copyText);
+  }
+  
+  let message = result.success && !copied
+    ? `${result.message}. Could not copy to the clipboard.`
+    : result.message;
+  let failed = !result.success || !copied;
+  showToast(failed ? "✗ " + message : "✓ Copied. " + message, result.warnings || [], failed);
+  return { success: copied };
+}
+
+/**
+ * Write text to the clipboard, falling back to a hidden textarea and execCommand
+ * when the page is not focused or not a secure context
+ * @param {string} text - Text to copy
+ * @returns {Promise<boolean>} Whether the text was copied
+ */
+async function copyText(text) {
+  try {
+    await navigator.clipboard.writeText(text);
+    return true;
+  } catch (error) {
+    log("warn", "Clipboard API failed, trying execCommand", error);
+  }
+  
+  let textArea = document.createElement("textarea");
+  textArea.value = text;
+  textArea.setAttribute("readonly", "");
+  textArea.style.cssText = "position: fixed; left: -9999px; top: 0;";
+  document.body.appendChild(textArea);
+  textArea.select();
+  
+  let success = false;
+  try {
+    success = document.execCommand("copy");
+  } catch (error) {
+    log("error", "execCommand copy failed", error);
+  }
+  textArea.remove();
+  return success;
+}
+
+/**
+ * Show a toast in the corner of the page, replacing any previous one.
+ * It lives in a shadow root so the page's styles do not apply.
+ * @param {string} message - Main line
+ * @param {string[]} warnings - Validation warnings listed below it
+ * @param {boolean} failed - Whether to show it as an error
+ */
+function showToast(message, warnings, failed) {
+  let previous = document.getElementById(TOAST_HOST_ID);
+  if (previous) previous.remove();
+  
+  let host = document.createElement("div");
+  host.id = TOAST_HOST_ID;
+  let root = host.attachShadow({ mode: "open" });
+  
+  let style = document.createElement("style");
+  style.textContent = `
+    .toast { position: fixed; right: 16px; bottom: 16px; z-index: 2147483647; max-width: 360px;
+      padding: 10px 14px; border-radius: 6px; background: #fff; color: #202124;
+      font: 13px/1.4 Arial, sans-serif; box-shadow: 0 2px 10px rgba(0, 0, 0, 0.25);
+      border-left: 4px solid ${failed ? "#d93025" : warnings.length ? "#f57c00" : "#188038"}; }
+    ul { margin: 6px 0 0; padding-left: 18px; font-size: 12px; color: #5f6368; }`;
+  
+  let toast = document.createElement("div");
+  toast.className = "toast";
+  toast.setAttribute("role", "status");
+  toast.textContent = message;
+  if (warnings.length) {
+    let list = document.createElement("ul");
+    list.replaceChildren(...warnings.map(warning => {
+      let item = document.createElement("li");
+      item.textContent = warning;
+      return item;
+    }));
+    toast.appendChild(list);
+  }
+  
+  root.append(style, toast);
+  document.body.appendChild(host);
+  setTimeout(() => host.remove(), TOAST_DURATION_MS);
+}
@@ -0,0 +1,178 @@
+/**
+ * Tests for the content script in content_extractor.js, run with `npm test`.
+ * The scripts listed for it in manifest.json are run in a jsdom window with
+ * a minimal chrome API.
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM } = require('jsdom');
+
+const manifest = JSON.parse(fs.readFileSync(path.join(__dirname, 'manifest.json'), 'utf8'));
+const CONTENT_SCRIPTS = manifest.content_scripts[0].js;
+
+/**
+ * Load a page and run the content scripts in it
+ * @param {string} html - Page markup
+ * @returns {object} The page's window, holding the content script's functions
+ */
+function loadContentScript(html) {
+  const dom = new JSDOM(html, { url: 'https://example.my.salesforce.com/lightning/r/Order/1/view', runScripts: 'outside-only' });
+  const { window } = dom;
+  const events = { addListener() {} };
+  window.chrome = {
+    runtime: { onMessage: events, sendMessage: async () => {} },
+    storage: { local: { get: async defaults => defaults }, onChanged: events }
+  };
+  window.console = { log() {}, info() {}, debug() {}, warn() {}, error() {} };
+  // jsdom does not lay out pages, so it has no innerText; the fixtures break address lines with newlines
+  Object.defineProperty(window.HTMLElement.prototype, 'innerText', { get() { return this.textContent; } });
+  // Run as scripts, not through eval, so their top-level consts are shared like in the browser
+  const context = dom.getInternalVMContext();
+  CONTENT_SCRIPTS.forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, file), 'utf8'), context, { filename: file });
+  });
+  window.readConstant = name => vm.runInContext(name, context);
+  return window;
+}
+
+/**
+ * Load a saved page from fixtures/ and make its tabs behave like Lightning's:
+ * a tab click selects it and renders its panel from the page's template
+ * @param {string} name - Fixture file name
+ * @returns {{window: object, clickedTabs: string[]}} Page window and the ids of the tabs clicked, in order
+ */
+function loadFixture(name) {
+  const window = loadContentScript(fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8'));
+  const { document } = window;
+  const clickedTabs = [];
+
+  document.addEventListener('click', event => {
+    const tab = event.target.closest("[role='tab']");
+    if (!tab) return;
+    clickedTabs.push(tab.id);
+    tab.closest("[role='tablist']").querySelectorAll("[role='tab']")
+      .forEach(candidate => candidate.setAttribute('aria-selected', String(candidate === tab)));
+
+    const panelId = tab.getAttribute('aria-controls');
+    const template = document.querySelector(`template[data-renders='${panelId}']`);
+    const panel = document.getElementById(panelId);
+    if (template && panel && !panel.children.length) panel.append(template.content.cloneNode(true));
+  });
+
+  return { window, clickedTabs };
+}
+
+/**
+ * Extract the order with the built-in rule
+ * @param {object} window - Page window from loadContentScript
+ * @returns {Promise<object>} Result of extractOrderData
+ */
+async function extractOrder(window) {
+  return JSON.parse(JSON.stringify(await window.extractOrderData(window.readConstant('DEFAULT_EXTRACTION_RULES'))));
+}
+
+test('a record page is read from its layout without opening tabs', async () => {
+  const { window, clickedTabs } = loadFixture('lightning_order_details.html');
+  const result = await extractOrder(window);
+
+  assert.strictEqual(result.source, 'layout');
+  assert.deepStrictEqual(result.data, {
+    'Order Name': 'SO-1001',
+    'Order Number': '00001001',
+    Account: 'Acme Inc',
+    Contact: 'Jane Doe',
+    'Raw Shipping Address': '100 Main St\nAustin, TX 78701\nUnited States',
+    'Raw Billing Address': 'PO Box 55\nAustin, TX 78767\nUnited States'
+  });
+  // Phone and Email are not on the layout, but with both addresses found no tab is opened
+  assert.deepStrictEqual(result.missingFields, ['Phone', 'Email']);
+  assert.deepStrictEqual(clickedTabs, []);
+});
+
+test('addresses on a lazy tab are loaded by opening only the record tabs', async () => {
+  const { window, clickedTabs } = loadFixture('lightning_order_lazy_tab.html');
+  const result = await extractOrder(window);
+
+  assert.strictEqual(result.source, 'layout');
+  assert.strictEqual(result.data['Raw Shipping Address'], '290 Bremner Blvd\nToronto, ON M5V 3L9\nCanada');
+  assert.strictEqual(result.data['Raw Billing Address'], '1 Martin Place\nSydney NSW 2000\nAustralia');
+  // The Addresses tab, then back to Details; the related list and activity tabs are left alone
+  assert.deepStrictEqual(clickedTabs, ['tab-addresses', 'tab-details']);
+});
+
+test('a record layout inside an open shadow root is read', async () => {
+  const { window } = loadFixture('lightning_order_details.html');
+  const { document } = window;
+  const host = document.createElement('div');
+  document.body.append(host);
+  host.attachShadow({ mode: 'open' }).append(document.querySelector('flexipage-tabset2'));
+
+  const result = await extractOrder(window);
+
+  assert.strictEqual(result.source, 'layout');
+  assert.strictEqual(result.data['Raw Shipping Address'], '100 Main St\nAustin, TX 78701\nUnited States');
+});
+
+test('a page without a record layout falls back to the page text', async () => {
+  const { window, clickedTabs } = loadFixture('classic_order_page.html');
+  const result = await extractOrder(window);
+
+  assert.strictEqual(result.source, 'text');
+  assert.strictEqual(result.data['Raw Shipping Address'], '5 Elm St\nBoise, ID 83702');
+  assert.strictEqual(result.data['Raw Billing Address'], '5 Elm St\nBoise, ID 83702');
+  assert.deepStrictEqual(clickedTabs, []);
+});
+
+/**
+ * Markup of an edit dialog with a text input and a Country picklist
+ * @param {string[][]} countries - Picklist options as [value, text]
+ * @returns {string} Page markup
+ */
+function createEditDialog(countries) {
+  const options = countries.map(([value, text]) => `<option value="${value}">${text}</option>`).join('');
+  return `<div role="dialog">
+    <label for="city">Shipping City</label><input id="city">
+    <label for="country">Shipping Country</label>
+    <select id="country"><option value="">--None--</option>${options}</select>
+  </div>`;
+}
+
+/**
+ * Fill the dialog with a shipping address using the built-in rule
+ * @param {object} window - Page window from loadContentScript
+ * @param {string} country - Parsed Country
+ * @returns {{result: object, country: string}} Fill result and the picklist value afterwards
+ */
+function fillCountry(window, country) {
+  const rules = window.readConstant('DEFAULT_EXTRACTION_RULES');
+  const result = window.fillEditForm(rules, { Shipping: { City: 'Austin', Country: country } });
+  return { result, country: window.document.getElementById('country').value };
+}
+
+test('a Country picklist is set from the country code, name or ISO code', () => {
+  const cases = [
+    { options: [['United States', 'United States']], country: 'USA', expected: 'United States' },
+    { options: [['US', 'United States']], country: 'USA', expected: 'US' },
+    { options: [['CA', 'Canada']], country: 'CAN', expected: 'CA' },
+    { options: [['GB', 'United Kingdom']], country: 'United Kingdom', expected: 'GB' },
+    { options: [['USA', 'USA']], country: 'USA', expected: 'USA' }
+  ];
+
+  for (const { options, country, expected } of cases) {
+    const window = loadContentScript(createEditDialog(options));
+    assert.strictEqual(fillCountry(window, country).country, expected, `${country} -> ${expected}`);
+  }
+});
+
+test('a picklist with no matching option is left unchanged and reported', () => {
+  const window = loadContentScript(createEditDialog([['CA', 'Canada']]));
+  const { result, country } = fillCountry(window, 'USA');
+
+  assert.strictEqual(country, '');
+  assert.deepStrictEqual([...result.filled], ['Shipping City']);
+  assert.deepStrictEqual([...result.unmatched], ['Shipping Country']);
+  assert.ok(!window.document.getElementById('country').style.outline);
+});
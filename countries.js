@@ -0,0 +1,183 @@
+/**
+ * Per-country address rules for Address Parser Extension
+ *
+ * Requires us_reference.js to be loaded first.
+ *
+ * Used by the regex fallback parser to detect the country of an address
+ * and to locate its postal code and region, by the popup to label
+ * the State/ZIP fields the way each country names them, and by the content
+ * script to pick the Country picklist option.
+ */
+
+const COUNTRY_RULES = {
+  USA: {
+    alpha2: 'US',
+    names: ['United States of America', 'United States', 'U.S.A.', 'USA', 'US'],
+    // ZIP+4 may be written without its hyphen, "100161234"
+    postalPattern: /\b(\d{5}(?:-?\d{4})?)\b/,
+    regions: US_STATES,
+    fieldLabels: { State: 'State', ZIP: 'ZIP' }
+  },
+  CAN: {
+    alpha2: 'CA',
+    names: ['Canada'],
+    postalPattern: /\b([ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z] ?\d[ABCEGHJ-NPRSTV-Z]\d)\b/i,
+    regions: {
+      AB: 'Alberta', BC: 'British Columbia', MB: 'Manitoba', NB: 'New Brunswick',
+      NL: 'Newfoundland and Labrador', NS: 'Nova Scotia', NT: 'Northwest Territories',
+      NU: 'Nunavut', ON: 'Ontario', PE: 'Prince Edward Island', QC: 'Quebec',
+      SK: 'Saskatchewan', YT: 'Yukon'
+    },
+    formatPostal: code => code.toUpperCase().replace(/^(\w{3})\s*(\w{3})$/, '$1 $2'),
+    fieldLabels: { State: 'Province', ZIP: 'Postal Code' }
+  },
+  GBR: {
+    alpha2: 'GB',
+    names: ['United Kingdom', 'Great Britain', 'England', 'Scotland', 'Wales', 'Northern Ireland', 'U.K.', 'UK'],
+    postalPattern: /\b([A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2})\b/i,
+    formatPostal: code => code.toUpperCase().replace(/\s*(\d[A-Z]{2})$/, ' $1'),
+    fieldLabels: { State: 'County', ZIP: 'Postcode' }
+  },
+  DEU: {
+    alpha2: 'DE',
+    names: ['Deutschland', 'Germany'],
+    // German addresses put the PLZ before the city: "10115 Berlin"
+    postalPattern: /\b(?:D-)?(\d{5})\b/,
+    postalBeforeCity: true,
+    fieldLabels: { State: 'State', ZIP: 'Postcode' }
+  },
+  AUS: {
+    alpha2: 'AU',
+    names: ['Australia'],
+    postalPattern: /\b(\d{4})\b/,
+    regions: {
+      ACT: 'Australian Capital Territory', NSW: 'New South Wales', NT: 'Northern Territory',
+      QLD: 'Queensland', SA: 'South Australia', TAS: 'Tasmania', VIC: 'Victoria',
+      WA: 'Western Australia'
+    },
+    fieldLabels: { State: 'State', ZIP: 'Postcode' }
+  }
+};
+
+// Postal formats distinctive enough to identify a country when it is not named
+const COUNTRY_DETECTION_PATTERNS = [
+  { country: 'CAN', pattern: /\b[ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z] ?\d[ABCEGHJ-NPRSTV-Z]\d\b/i },
+  { country: 'GBR', pattern: /\b[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}\b/ },
+  { country: 'AUS', pattern: /\b(ACT|NSW|NT|QLD|SA|TAS|VIC|WA)\s+\d{4}\b/ },
+  { country: 'DEU', pattern: /(?:^|,)\s*(?:D-)?\d{5}\s+[^\d,]+$/ }
+];
+
+/**
+ * Escape a string for literal use inside a RegExp
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Find the country name written at the end of an address
+ * @param {string} address - Cleaned address string
+ * @returns {{country: string, match: string}|null} Country code and the matched text
+ */
+function findCountryName(address) {
+  for (const [country, rule] of Object.entries(COUNTRY_RULES)) {
+    const names = rule.names.map(escapeRegExp).join('|');
+    const match = address.match(new RegExp(`(?:^|[,\\s])\\s*(?:${names})\\.?\\s*$`, 'i'));
+    if (match) {
+      return { country, match: match[0] };
+    }
+  }
+  return null;
+}
+
+/**
+ * Detect the country of an address from its name or postal code format
+ * @param {string} address - Cleaned address string
+ * @returns {string} ISO 3166-1 alpha-3 country code, USA when unknown
+ */
+function detectCountry(address) {
+  const named = findCountryName(address);
+  if (named) return named.country;
+
+  const detected = COUNTRY_DETECTION_PATTERNS.find(({ pattern }) => pattern.test(address));
+  return detected ? detected.country : 'USA';
+}
+
+/**
+ * Map a country name or code (e.g. "Canada", "U.K.") to its alpha-3 code
+ * @param {string} value - Country as written
+ * @returns {string} Alpha-3 code, or the input when not recognised
+ */
+function normalizeCountry(value) {
+  const trimmed = (value || '').trim();
+  if (COUNTRY_RULES[trimmed.toUpperCase()]) return trimmed.toUpperCase();
+
+  const named = findCountryName(trimmed);
+  return named ? named.country : trimmed;
+}
+
+/**
+ * Every way a country may be written, e.g. for matching a Country picklist option
+ * @param {string} value - Country as written, e.g. "USA", "US" or "United States"
+ * @returns {string[]} Alpha-3 and alpha-2 codes and names, or an empty list when not recognised
+ */
+function getCountryNames(value) {
+  const alpha2 = (value || '').trim().toUpperCase();
+  const code = Object.keys(COUNTRY_RULES).find(candidate => COUNTRY_RULES[candidate].alpha2 === alpha2) || normalizeCountry(value);
+  const rule = COUNTRY_RULES[code];
+  return rule ? [code, rule.alpha2, ...rule.names] : [];
+}
+
+/**
+ * Find the last match of a pattern in a string
+ * @param {string} text - Text to search
+ * @param {RegExp} pattern - Pattern without the global flag
+ * @returns {RegExpMatchArray|null} Last match
+ */
+function findLastMatch(text, pattern) {
+  const matches = [...text.matchAll(new RegExp(pattern.source, pattern.flags + 'g'))];
+  return matches.length ? matches[matches.length - 1] : null;
+}
+
+/**
+ * Build the pattern matching a country's region codes and full names
+ * @param {object} rule - Country rule
+ * @returns {RegExp|null} Region pattern capturing the code or name
+ */
+function getRegionPattern(rule) {
+  if (!rule.regions) return null;
+
+  const alternatives = [...Object.values(rule.regions), ...Object.keys(rule.regions)]
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp);
+  return new RegExp(`,?\\s*\\b(${alternatives.join('|')})\\b\\s*,?`);
+}
+
+/**
+ * Convert a region name such as "Ontario", or a code in any case such as "on", to its code
+ * @param {object} rule - Country rule
+ * @param {string} region - Region code or name
+ * @returns {string} Region code
+ */
+function toRegionCode(rule, region) {
+  const entry = Object.entries(rule.regions || {})
+    .find(([code, name]) => [code, name].some(value => value.toLowerCase() === region.toLowerCase()));
+  return entry ? entry[0] : region;
+}
+
+/**
+ * Rename State/ZIP to the labels used by the address's country
+ * (e.g. "Province" and "Postal Code" for Canada). Namespaced fields such as
+ * "Billing State" are renamed using their own "Billing Country".
+ * @param {object} result - Parsed address with canonical field names
+ * @returns {object} Copy of the result with country-specific field names
+ */
+function localizeFieldNames(result) {
+  return Object.fromEntries(Object.entries(result).map(([key, value]) => {
+    const [, prefix, field] = key.match(/^(.*?)(State|ZIP)$/) || [];
+    const rule = field && COUNTRY_RULES[result[`${prefix}Country`]];
+    return [rule ? prefix + rule.fieldLabels[field] : key, value];
+  }));
+}
@@ -0,0 +1,125 @@
+/**
+ * Diagnostics page for Address Parser Extension
+ *
+ * Lists the redacted log entries kept by logger.js, filtered by level, and
+ * exports them with the extension version and redacted settings for bug reports.
+ */
+document.addEventListener('DOMContentLoaded', function() {
+  const levelFilter = document.getElementById('levelFilter');
+  const exportBtn = document.getElementById('exportBtn');
+  const clearBtn = document.getElementById('clearBtn');
+  const statusDiv = document.getElementById('status');
+  const diagnosticsBody = document.getElementById('diagnosticsBody');
+
+  // Stored entries, oldest first
+  let entries = [];
+
+  /**
+   * Load the entries and render them
+   */
+  async function loadDiagnostics() {
+    entries = await getDiagnostics();
+    renderDiagnostics();
+  }
+
+  /**
+   * Entries at or above the chosen level
+   * @returns {object[]} Matching entries, oldest first
+   */
+  function getVisibleEntries() {
+    const minimum = LOG_LEVELS.indexOf(levelFilter.value);
+    return entries.filter(entry => LOG_LEVELS.indexOf(entry.level) >= minimum);
+  }
+
+  /**
+   * Format an entry time with milliseconds, so step timings can be read off
+   * @param {number} time - Milliseconds since the epoch
+   * @returns {string} e.g. "14:03:07.215"
+   */
+  function formatTime(time) {
+    const date = new Date(time);
+    return `${date.toLocaleTimeString([], { hour12: false })}.${String(date.getMilliseconds()).padStart(3, '0')}`;
+  }
+
+  /**
+   * Show a status message
+   * @param {string} text - Message text
+   * @param {string} color - CSS color
+   */
+  function showStatus(text, color) {
+    statusDiv.textContent = text;
+    statusDiv.style.color = color;
+  }
+
+  /**
+   * Render the entries matching the level filter
+   */
+  function renderDiagnostics() {
+    const visibleEntries = getVisibleEntries();
+
+    diagnosticsBody.replaceChildren(...visibleEntries.map(entry => {
+      const row = document.createElement('tr');
+      row.className = entry.level;
+      const cells = [
+        { text: formatTime(entry.time), className: 'time' },
+        { text: entry.level },
+        { text: entry.context },
+        { text: entry.message },
+        { text: entry.details === undefined ? '' : JSON.stringify(entry.details, null, 2), className: 'details' }
+      ];
+
+      row.replaceChildren(...cells.map(({ text, className }) => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        if (className) td.className = className;
+        return td;
+      }));
+      return row;
+    }));
+
+    exportBtn.disabled = !visibleEntries.length;
+    clearBtn.disabled = !entries.length;
+    if (!entries.length) {
+      showStatus('Nothing logged since the browser was started', '#555');
+    } else {
+      showStatus(`Showing ${visibleEntries.length} of ${entries.length} entries`, '#555');
+    }
+  }
+
+  /**
+   * Download the entries matching the filter with what is needed to reproduce a problem
+   */
+  async function handleExport() {
+    const report = {
+      exportedAt: new Date().toISOString(),
+      extensionVersion: chrome.runtime.getManifest().version,
+      userAgent: navigator.userAgent,
+      // API keys are redacted like any other secret
+      settings: redactForLog(await getSettings()),
+      entries: getVisibleEntries()
+    };
+
+    downloadFile(JSON.stringify(report, null, 2), 'address-parser-diagnostics.json', 'application/json');
+  }
+
+  /**
+   * Delete every entry
+   */
+  async function handleClear() {
+    await clearDiagnostics();
+    await loadDiagnostics();
+  }
+
+  levelFilter.addEventListener('change', renderDiagnostics);
+  exportBtn.addEventListener('click', handleExport);
+  clearBtn.addEventListener('click', handleClear);
+
+  // Show new entries while this page is open
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'session' && changes[DIAGNOSTICS_STORAGE_KEY]) {
+      loadDiagnostics();
+    }
+  });
+
+  loadDiagnostics();
+});
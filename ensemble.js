@@ -0,0 +1,97 @@
+/**
+ * Model ensemble for Address Parser Extension
+ *
+ * In ensemble mode the configured model, the extra models listed in the
+ * settings and the regex parser each parse the address, and every field is
+ * decided by majority vote. Ties go to the values backed by the larger total
+ * weight, then to the earlier source (the configured model first).
+ * Requires address_schema.js, confidence.js and usps.js to be loaded first.
+ */
+
+// Settings an ensemble model may override; anything left empty uses the main settings
+const ENSEMBLE_MODEL_KEYS = ['llmBaseUrl', 'llmModel', 'llmApiKey', 'structuredOutput'];
+
+// Source name of the regex parser in vote reports
+const REGEX_VOTER_NAME = 'regex';
+
+/**
+ * Whether addresses are parsed by the ensemble rather than a single model
+ * @param {object} settings - Extension settings
+ * @returns {boolean} True when ensemble mode is on
+ */
+function isEnsembleEnabled(settings) {
+  return Boolean(settings.ensembleEnabled && Array.isArray(settings.ensembleModels));
+}
+
+/**
+ * List the models taking part in the vote, the configured model first
+ * @param {object} settings - Extension settings
+ * @returns {{name: string, weight: number, settings: object}[]} Per model its name in vote
+ *   reports, its tie-breaking weight and the settings to parse with
+ */
+function getEnsembleMembers(settings) {
+  const primary = { name: settings.llmModel, weight: Number(settings.ensemblePrimaryWeight), settings };
+  if (!isEnsembleEnabled(settings)) return [primary];
+
+  const extras = settings.ensembleModels.map(model => {
+    const overrides = ENSEMBLE_MODEL_KEYS.filter(key => model[key]).map(key => [key, model[key]]);
+    const memberSettings = { ...settings, ...Object.fromEntries(overrides) };
+    return {
+      name: model.name || memberSettings.llmModel,
+      weight: model.weight === undefined ? 1 : Number(model.weight),
+      settings: memberSettings
+    };
+  });
+  return [primary, ...extras];
+}
+
+/**
+ * Decide each field by majority vote. Values are compared after USPS
+ * normalization, so "Main Street" and "MAIN ST" count as the same vote;
+ * the winning value is taken as written by its heaviest source.
+ * @param {{name: string, weight: number, data: object}[]} ballots - Each source's parsed fields, in tie-breaking order
+ * @returns {{data: object, votes: object}} The winning fields, and per field the values
+ *   voted for ({value, sources, weight}), winner first
+ */
+function voteOnFields(ballots) {
+  const comparable = ballots.map(ballot => normalizeAddressFields(ballot.data, 'upper'));
+  const votes = Object.fromEntries(ADDRESS_FIELDS.map(field => {
+    const groups = new Map();
+    ballots.forEach((ballot, index) => {
+      const key = normalizeForComparison(comparable[index][field]);
+      const group = groups.get(key) || { value: '', sources: [], weight: 0, topWeight: -Infinity };
+      if (ballot.weight > group.topWeight) {
+        group.value = ballot.data[field] || '';
+        group.topWeight = ballot.weight;
+      }
+      group.sources.push(ballot.name);
+      group.weight += ballot.weight;
+      groups.set(key, group);
+    });
+
+    // Sorting is stable, so full ties keep the order of the first source voting for each value
+    const ranked = [...groups.values()]
+      .sort((a, b) => b.sources.length - a.sources.length || b.weight - a.weight)
+      .map(({ value, sources, weight }) => ({ value, sources, weight }));
+    return [field, ranked];
+  }));
+
+  return {
+    data: Object.fromEntries(ADDRESS_FIELDS.map(field => [field, votes[field][0].value])),
+    votes
+  };
+}
+
+/**
+ * List the fields the sources did not agree on
+ * @param {object} votes - Votes per field, from voteOnFields
+ * @param {object} data - The result being returned
+ * @param {object} regexResult - Result from the regex parser
+ * @returns {{field: string, llm: string, regex: string, votes: object[]}[]} Disagreements, shaped like
+ *   those of findDisagreements plus the votes
+ */
+function findContestedFields(votes, data, regexResult) {
+  return ADDRESS_FIELDS
+    .filter(field => votes[field].length > 1)
+    .map(field => ({ field, llm: data[field], regex: regexResult[field], votes: votes[field] }));
+}
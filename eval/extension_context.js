@@ -0,0 +1,121 @@
+/**
+ * Loads the extension's background scripts into a Node vm context
+ *
+ * The shared scripts are classic browser scripts that define globals, so they
+ * are run as they are, next to an in-memory chrome.storage and no-op event APIs.
+ * Requires Node 20 or later (fetch, AbortSignal.any).
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const EXTENSION_ROOT = path.join(__dirname, '..');
+
+// The chrome.runtime.onMessage listeners registered in each context
+const messageListeners = new WeakMap();
+
+/**
+ * Create a chrome.storage area backed by an object
+ * @param {object} store - Stored values, modified in place
+ * @returns {object} Object with get, set and remove like chrome.storage.local
+ */
+function createStorageArea(store) {
+  return {
+    async get(keys) {
+      if (keys === null || keys === undefined) return { ...store };
+      if (typeof keys === 'string' || Array.isArray(keys)) {
+        return Object.fromEntries([].concat(keys).filter(key => key in store).map(key => [key, store[key]]));
+      }
+      // An object gives the defaults for missing keys
+      return Object.fromEntries(Object.entries(keys).map(([key, value]) => [key, key in store ? store[key] : value]));
+    },
+    async set(values) {
+      Object.assign(store, values);
+    },
+    async remove(keys) {
+      [].concat(keys).forEach(key => delete store[key]);
+    }
+  };
+}
+
+/**
+ * Load background.js and the scripts it imports
+ * @param {object} settings - Stored settings, e.g. llmBaseUrl and llmModel
+ * @param {object} [options]
+ * @param {boolean} [options.verbose] - Show the extension's console output
+ * @param {object} [options.store] - Values behind chrome.storage.local, to share them with
+ *   another context; the settings are added to it
+ * @returns {object} vm context holding the extension's functions (parseAddressWithRegex, parseAddressWithLLM, ...)
+ */
+function loadExtension(settings, { verbose = false, store = {} } = {}) {
+  const events = { addListener() {}, removeListener() {} };
+  const quiet = { log() {}, info() {}, debug() {}, warn() {}, error() {} };
+
+  const context = {
+    console: verbose ? console : quiet,
+    chrome: {
+      runtime: {
+        onMessage: { addListener: listener => messageListeners.get(context).push(listener), removeListener() {} },
+        onInstalled: events,
+        onStartup: events,
+        getURL: file => file
+      },
+      storage: { local: createStorageArea(Object.assign(store, settings)), session: createStorageArea({}), onChanged: events },
+      contextMenus: { create() {}, onClicked: events },
+      commands: { onCommand: events },
+      tabs: { query: async () => [], sendMessage: async () => ({}) }
+    },
+    fetch,
+    // fetch rejects with this realm's TypeError, which llm_client.js tests for connection failures
+    TypeError,
+    URL,
+    AbortController,
+    AbortSignal,
+    TextEncoder,
+    crypto: globalThis.crypto,
+    performance,
+    setTimeout,
+    clearTimeout
+  };
+  context.self = context;
+  messageListeners.set(context, []);
+  context.importScripts = (...files) => files.forEach(file => runScript(context, file));
+
+  vm.createContext(context);
+  runScript(context, 'background.js');
+  return context;
+}
+
+/**
+ * Read a top-level const of the extension's scripts, which unlike functions
+ * are not properties of the context object
+ * @param {object} context - Context from loadExtension
+ * @param {string} name - Constant name, e.g. "ADDRESS_FIELDS"
+ * @returns {*} Value
+ */
+function readConstant(context, name) {
+  return vm.runInContext(name, context);
+}
+
+/**
+ * Send a message to the service worker's onMessage listeners, like chrome.runtime.sendMessage from a page
+ * @param {object} context - Context from loadExtension
+ * @param {object} message - Message
+ * @returns {Promise<*>} The response
+ */
+function sendMessage(context, message) {
+  return new Promise(resolve => {
+    messageListeners.get(context).forEach(listener => listener(message, {}, resolve));
+  });
+}
+
+/**
+ * Run one of the extension's scripts in the context
+ * @param {object} context - vm context
+ * @param {string} file - Path relative to the extension root
+ */
+function runScript(context, file) {
+  vm.runInContext(fs.readFileSync(path.join(EXTENSION_ROOT, file), 'utf8'), context, { filename: file });
+}
+
+module.exports = { loadExtension, readConstant, sendMessage, createStorageArea };
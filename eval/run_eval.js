@@ -0,0 +1,294 @@
+#!/usr/bin/env node
+/**
+ * Address parser evaluation
+ *
+ * Runs the regex or LLM parser over a labeled dataset of raw addresses and
+ * reports per-field exact-match and normalized-match accuracy, the failing
+ * examples, and what changed since the previous run with the same label.
+ *
+ * Usage:
+ *   node eval/run_eval.js [--parser regex|llm] [--dataset file] [--label name]
+ *     [--llm-url url] [--model name] [--structured-output json_schema|tools|none]
+ *     [--replies file] [--record file] [--baseline file] [--no-save] [--verbose]
+ *
+ * Without --llm-url the LLM parser talks to a stub server answering from --replies.
+ */
+const fs = require('fs');
+const path = require('path');
+const { loadExtension, readConstant } = require('./extension_context');
+const { startStubServer } = require('./stub_server');
+
+const DEFAULT_OPTIONS = {
+  parser: 'regex',
+  dataset: path.join(__dirname, 'golden.json'),
+  replies: path.join(__dirname, 'stub_replies.json'),
+  llmUrl: '',
+  model: 'local-model',
+  structuredOutput: 'json_schema',
+  label: '',
+  record: '',
+  baseline: '',
+  save: true,
+  verbose: false
+};
+
+// Results of each run are kept here, one file per label, for the next run to compare against
+const RESULTS_DIR = path.join(__dirname, 'results');
+
+/**
+ * Read the command-line options
+ * @param {string[]} args - Arguments after the script name
+ * @returns {object} Options
+ */
+function parseArgs(args) {
+  const options = { ...DEFAULT_OPTIONS };
+  for (let index = 0; index < args.length; index++) {
+    const arg = args[index];
+    if (arg === '--no-save') {
+      options.save = false;
+    } else if (arg === '--verbose') {
+      options.verbose = true;
+    } else if (arg.startsWith('--')) {
+      // --llm-url -> llmUrl
+      const key = arg.slice(2).replace(/-(\w)/g, (match, letter) => letter.toUpperCase());
+      if (!(key in DEFAULT_OPTIONS) || index + 1 >= args.length) {
+        throw new Error(`Unknown option or missing value: ${arg}`);
+      }
+      options[key] = args[++index];
+    } else {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+  }
+
+  if (!['regex', 'llm'].includes(options.parser)) {
+    throw new Error('--parser must be "regex" or "llm"');
+  }
+  if (!options.label) {
+    options.label = options.parser === 'regex' ? 'regex' : `llm-${options.llmUrl ? options.model : 'stub'}-${options.structuredOutput}`;
+  }
+  return options;
+}
+
+/**
+ * Parse every example with the chosen parser
+ * @param {object} extension - Context from loadExtension
+ * @param {object[]} examples - Dataset examples
+ * @param {string} parser - "regex" or "llm"
+ * @returns {Promise<object[]>} Per example: the fields found, or an error
+ */
+async function runParser(extension, examples, parser) {
+  const settings = await extension.getSettings();
+  const outputs = [];
+  for (const example of examples) {
+    try {
+      const fields = parser === 'regex'
+        ? extension.parseAddressWithRegex(example.address, example.contact || '')
+        : (await extension.parseAddressWithLLM(example.address, settings)).data;
+      outputs.push({ fields, error: '' });
+    } catch (error) {
+      outputs.push({ fields: {}, error: error.message });
+    }
+  }
+  return outputs;
+}
+
+/**
+ * Compare each example's output with its expected fields
+ * @param {object} extension - Context from loadExtension
+ * @param {object[]} examples - Dataset examples
+ * @param {object[]} outputs - Output of runParser
+ * @returns {{accuracy: object, examples: object}} Accuracy per field, and per example id the
+ *   actual fields, the fields failing exact and normalized matching, and any error
+ */
+function scoreOutputs(extension, examples, outputs) {
+  const fields = readConstant(extension, 'ADDRESS_FIELDS');
+  const results = {};
+
+  examples.forEach((example, index) => {
+    const { fields: actual, error } = outputs[index];
+    const value = (object, field) => String(object[field] || '');
+    results[example.id] = {
+      actual: Object.fromEntries(fields.map(field => [field, value(actual, field)])),
+      exactFailed: fields.filter(field => value(actual, field) !== value(example.expected, field)),
+      failed: fields.filter(field =>
+        extension.normalizeForComparison(value(actual, field)) !== extension.normalizeForComparison(value(example.expected, field))),
+      error
+    };
+  });
+
+  const share = count => Math.round(count / examples.length * 1000) / 10;
+  const accuracy = Object.fromEntries(fields.map(field => [field, {
+    exact: share(Object.values(results).filter(result => !result.exactFailed.includes(field)).length),
+    normalized: share(Object.values(results).filter(result => !result.failed.includes(field)).length)
+  }]));
+  accuracy['All fields'] = {
+    exact: share(Object.values(results).filter(result => !result.exactFailed.length).length),
+    normalized: share(Object.values(results).filter(result => !result.failed.length).length)
+  };
+
+  return { accuracy, examples: results };
+}
+
+/**
+ * Format a change in percentage points, e.g. " (+2.5)"
+ * @param {number} current - Current accuracy
+ * @param {number|undefined} previous - Previous accuracy, if known
+ * @returns {string} Change, empty when unchanged or unknown
+ */
+function formatDelta(current, previous) {
+  if (previous === undefined || current === previous) return '';
+  const delta = Math.round((current - previous) * 10) / 10;
+  return ` (${delta > 0 ? '+' : ''}${delta})`;
+}
+
+/**
+ * Print the accuracy table, the failing examples and the changes since the baseline
+ * @param {object} run - Scored run
+ * @param {object[]} examples - Dataset examples
+ * @param {object|null} baseline - Previous run with the same label
+ */
+function printReport(run, examples, baseline) {
+  const previous = baseline ? baseline.accuracy : {};
+  console.log(`Parser: ${run.parser}${run.parser === 'llm' ? ` (${run.model}, ${run.structuredOutput}, prompt v${run.promptVersion})` : ''}`);
+  console.log(`Dataset: ${path.relative(process.cwd(), run.dataset)} (${examples.length} examples)`);
+  if (baseline) {
+    console.log(`Compared with the run of ${baseline.runAt}`);
+  }
+  console.log('');
+
+  console.log(`${'Field'.padEnd(12)} ${'Exact'.padStart(16)} ${'Normalized'.padStart(16)}`);
+  Object.entries(run.accuracy).forEach(([field, { exact, normalized }]) => {
+    const before = previous[field] || {};
+    const exactText = `${exact.toFixed(1)}%${formatDelta(exact, before.exact)}`;
+    const normalizedText = `${normalized.toFixed(1)}%${formatDelta(normalized, before.normalized)}`;
+    console.log(`${field.padEnd(12)} ${exactText.padStart(16)} ${normalizedText.padStart(16)}`);
+  });
+
+  const failing = examples.filter(example => run.examples[example.id].failed.length);
+  console.log(`\nFailing examples (${failing.length}):`);
+  failing.forEach(example => {
+    const result = run.examples[example.id];
+    console.log(`  ${example.id}${result.error ? ` - error: ${result.error}` : ''}`);
+    result.failed.forEach(field => {
+      console.log(`    ${field}: expected ${JSON.stringify(example.expected[field] || '')}, got ${JSON.stringify(result.actual[field])}`);
+    });
+  });
+
+  if (baseline) {
+    printChanges(run, baseline);
+  }
+}
+
+/**
+ * Print the example fields that started or stopped failing since the baseline
+ * @param {object} run - Scored run
+ * @param {object} baseline - Previous run
+ */
+function printChanges(run, baseline) {
+  const newlyFailing = [];
+  const fixed = [];
+  Object.entries(run.examples).forEach(([id, result]) => {
+    const before = baseline.examples[id];
+    if (!before) return;
+    result.failed.filter(field => !before.failed.includes(field)).forEach(field => newlyFailing.push(`${id}: ${field}`));
+    before.failed.filter(field => !result.failed.includes(field)).forEach(field => fixed.push(`${id}: ${field}`));
+  });
+
+  console.log('\nChanges since the previous run:');
+  if (!newlyFailing.length && !fixed.length) {
+    console.log('  none');
+    return;
+  }
+  newlyFailing.forEach(change => console.log(`  - now failing  ${change}`));
+  fixed.forEach(change => console.log(`  + now passing  ${change}`));
+}
+
+/**
+ * Read a JSON file, or return a default when it does not exist
+ * @param {string} file - Path
+ * @param {*} fallback - Value for a missing file
+ * @returns {*} Parsed JSON
+ */
+function readJson(file, fallback) {
+  if (!fs.existsSync(file)) return fallback;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Run the evaluation
+ * @param {object} options - Options from parseArgs
+ * @returns {Promise<void>}
+ */
+async function main(options) {
+  const examples = readJson(options.dataset, null);
+  if (!Array.isArray(examples)) {
+    throw new Error(`Dataset ${options.dataset} must be a JSON list of examples`);
+  }
+
+  // Everything that would make results depend on earlier parses or on timing is turned off
+  const extension = loadExtension({
+    llmBaseUrl: options.llmUrl,
+    llmModel: options.model,
+    structuredOutput: options.structuredOutput,
+    addressNormalization: 'off',
+    fewShotCount: 0,
+    cacheMaxEntries: 0,
+    llmMaxRetries: 0,
+    llmCircuitThreshold: 0,
+    llmTimeoutSeconds: 120
+  }, { verbose: options.verbose });
+
+  const stub = options.parser === 'llm' && !options.llmUrl
+    ? await startStubServer(readJson(options.replies, {}), readConstant(extension, 'ADDRESS_FIELDS'))
+    : null;
+  if (stub) {
+    await extension.chrome.storage.local.set({ llmBaseUrl: stub.url });
+  }
+
+  let outputs;
+  try {
+    outputs = await runParser(extension, examples, options.parser);
+  } finally {
+    if (stub) await stub.close();
+  }
+  if (stub && stub.missing.size) {
+    console.warn(`Warning: no stub reply for ${stub.missing.size} address(es); they were answered with empty fields\n`);
+  }
+
+  const run = {
+    label: options.label,
+    parser: options.parser,
+    model: stub ? 'stub' : options.model,
+    structuredOutput: options.structuredOutput,
+    promptVersion: readConstant(extension, 'ADDRESS_PROMPT_VERSION'),
+    dataset: path.resolve(options.dataset),
+    runAt: new Date().toISOString(),
+    ...scoreOutputs(extension, examples, outputs)
+  };
+
+  const resultsFile = path.join(RESULTS_DIR, `${options.label.replace(/[^\w.-]+/g, '_')}.json`);
+  const baseline = readJson(options.baseline || resultsFile, null);
+  printReport(run, examples, baseline);
+
+  if (options.record) {
+    // Replies from a real model, for the stub server to replay offline
+    const replies = Object.fromEntries(examples
+      .filter((example, index) => !outputs[index].error)
+      .map(example => [example.address, run.examples[example.id].actual]));
+    fs.writeFileSync(options.record, `${JSON.stringify(replies, null, 2)}\n`);
+    console.log(`\nRecorded ${Object.keys(replies).length} replies to ${options.record}`);
+  }
+
+  if (options.save) {
+    fs.mkdirSync(RESULTS_DIR, { recursive: true });
+    fs.writeFileSync(resultsFile, `${JSON.stringify(run, null, 2)}\n`);
+    console.log(`\nSaved results to ${path.relative(process.cwd(), resultsFile)}`);
+  }
+}
+
+Promise.resolve()
+  .then(() => main(parseArgs(process.argv.slice(2))))
+  .catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,85 @@
+/**
+ * Stub OpenAI-compatible server for the evaluation suite
+ *
+ * Answers /v1/chat/completions with replies recorded per address, so the
+ * LLM path (prompt building, reply validation and repair, field handling) can
+ * be evaluated offline and deterministically. Replies are sent as message
+ * content, or as a tool call when the request offers tools. A reply is the
+ * fields as an object, or raw text sent as it is (e.g. a fenced or prose
+ * reply); a list of replies is answered in turn, so a repair request gets the next one.
+ */
+const http = require('http');
+
+// The user turn sent by parseAddressWithLLM
+const ADDRESS_REQUEST = /^Parse this address: "([\s\S]*)"$/;
+
+/**
+ * Start the stub server on a free local port
+ * @param {object} replies - Address -> reply fields, raw reply text, or a list of these
+ * @param {string[]} fields - Field names, used for the empty reply to unknown addresses
+ * @returns {Promise<{url: string, missing: Set<string>, requests: object[], close: Function}>} Base URL,
+ *   the addresses that had no recorded reply, the chat request bodies received, and a function stopping the server
+ */
+function startStubServer(replies, fields) {
+  const missing = new Set();
+  const requests = [];
+
+  const server = http.createServer((request, response) => {
+    let body = '';
+    request.on('data', chunk => { body += chunk; });
+    request.on('end', () => {
+      if (request.url === '/v1/models') {
+        sendJson(response, { data: [{ id: 'stub' }] });
+        return;
+      }
+      if (request.url !== '/v1/chat/completions') {
+        sendJson(response, { error: 'Not found' }, 404);
+        return;
+      }
+
+      const chatRequest = JSON.parse(body);
+      requests.push(chatRequest);
+
+      // The last address request is the real one; few-shot examples come before it
+      const requestIndex = chatRequest.messages
+        .map(message => message.role === 'user' && ADDRESS_REQUEST.test(message.content || ''))
+        .lastIndexOf(true);
+      const address = requestIndex === -1 ? '' : chatRequest.messages[requestIndex].content.match(ADDRESS_REQUEST)[1];
+      if (!replies[address]) missing.add(address);
+
+      // Assistant turns after the request are earlier attempts, e.g. before a repair
+      const attempt = chatRequest.messages.slice(requestIndex + 1).filter(message => message.role === 'assistant').length;
+      const recorded = replies[address] || Object.fromEntries(fields.map(field => [field, '']));
+      const entry = Array.isArray(recorded) ? recorded[Math.min(attempt, recorded.length - 1)] : recorded;
+      const reply = typeof entry === 'string' ? entry : JSON.stringify(entry);
+      const message = chatRequest.tools
+        ? { role: 'assistant', content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: chatRequest.tools[0].function.name, arguments: reply } }] }
+        : { role: 'assistant', content: reply };
+      sendJson(response, { choices: [{ index: 0, message }], usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 } });
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        missing,
+        requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} response - Response
+ * @param {object} value - Body
+ * @param {number} [status] - HTTP status
+ */
+function sendJson(response, value, status = 200) {
+  response.writeHead(status, { 'Content-Type': 'application/json' });
+  response.end(JSON.stringify(value));
+}
+
+module.exports = { startStubServer };
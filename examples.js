@@ -0,0 +1,157 @@
+/**
+ * Few-shot example library for Address Parser Extension
+ *
+ * Stores corrected parses (raw address -> fixed fields) in chrome.storage.local
+ * and picks the ones most similar to a new address, so the LLM sees how the
+ * team's unusual formats should be split.
+ * Requires address_schema.js to be loaded first.
+ */
+
+const EXAMPLES_STORAGE_KEY = 'parseExamples';
+// When the library last changed, so LLM results cached with older examples are not reused
+const EXAMPLES_REVISION_STORAGE_KEY = 'parseExamplesRevision';
+
+// Library size; the oldest examples are dropped beyond this
+const MAX_EXAMPLES = 500;
+
+// Storage updates run one at a time so a correction and an import or delete do not overwrite each other
+let examplesUpdateQueue = Promise.resolve();
+
+/**
+ * Load the example library
+ * @returns {Promise<object[]>} Examples ({address, fields, addedAt}), newest first
+ */
+async function getExamples() {
+  const stored = await chrome.storage.local.get({ [EXAMPLES_STORAGE_KEY]: [] });
+  return stored[EXAMPLES_STORAGE_KEY];
+}
+
+/**
+ * Load the library revision, which changes whenever the library is stored
+ * @returns {Promise<number>} Revision, 0 if the library was never stored
+ */
+async function getExamplesRevision() {
+  const stored = await chrome.storage.local.get({ [EXAMPLES_REVISION_STORAGE_KEY]: 0 });
+  return stored[EXAMPLES_REVISION_STORAGE_KEY];
+}
+
+/**
+ * Key identifying an example's address, ignoring case and spacing
+ * @param {object} example - Example
+ * @returns {string} Key
+ */
+function getExampleKey(example) {
+  return example.address.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Apply a change to the stored library, then store it keeping one example per
+ * address (the first, i.e. newest) and at most MAX_EXAMPLES
+ * @param {Function} change - Called with the examples, newest first; returns the examples to store
+ * @returns {Promise<object[]>} The examples that were kept
+ */
+function updateExamples(change) {
+  const update = examplesUpdateQueue.then(async () => {
+    const seen = new Set();
+    const kept = change(await getExamples())
+      .filter(example => {
+        const key = getExampleKey(example);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .slice(0, MAX_EXAMPLES);
+
+    await chrome.storage.local.set({ [EXAMPLES_STORAGE_KEY]: kept, [EXAMPLES_REVISION_STORAGE_KEY]: Date.now() });
+    return kept;
+  });
+  // The caller sees a failed update; the updates queued after it still run
+  examplesUpdateQueue = update.catch(() => {});
+
+  return update;
+}
+
+/**
+ * Add a corrected parse to the library, replacing any example for the same address
+ * @param {string} address - The raw address that was parsed
+ * @param {object} fields - The corrected fields (canonical names)
+ * @returns {Promise<void>}
+ */
+async function addExample(address, fields) {
+  const example = {
+    address,
+    fields: Object.fromEntries(ADDRESS_FIELDS.map(field => [field, fields[field] || ''])),
+    addedAt: Date.now()
+  };
+  await updateExamples(examples => [example, ...examples]);
+}
+
+/**
+ * Check an example read from an imported file
+ * @param {*} example - Candidate example
+ * @returns {string[]} Problems, empty if the example is usable
+ */
+function validateExample(example) {
+  if (!example || typeof example !== 'object') {
+    return ['Example must be an object'];
+  }
+  if (typeof example.address !== 'string' || !example.address.trim()) {
+    return ['"address" must be a non-empty string'];
+  }
+  return validateAddressObject(completeExampleFields(example.fields)).map(error => `"fields": ${error}`);
+}
+
+/**
+ * Fill in the fields an example does not have as empty strings, for examples
+ * saved before those fields existed
+ * @param {object} fields - Example fields
+ * @returns {object} Fields with every address field present
+ */
+function completeExampleFields(fields) {
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) return fields;
+  return { ...Object.fromEntries(ADDRESS_FIELDS.map(field => [field, ''])), ...fields };
+}
+
+/**
+ * Split an address into lowercase word tokens, with every number replaced by "#"
+ * so that addresses of the same shape ("c/o", "PO Box #", "Building #") match
+ * @param {string} address - Raw address
+ * @returns {string[]} Tokens in order
+ */
+function getAddressTokens(address) {
+  return address
+    .toLowerCase()
+    .replace(/\d+/g, '#')
+    .split(/[^\p{L}#]+/u)
+    .filter(Boolean);
+}
+
+/**
+ * Similarity of two addresses: Jaccard overlap of their token sets
+ * @param {string} a - First address
+ * @param {string} b - Second address
+ * @returns {number} 0 (nothing in common) to 1 (same tokens)
+ */
+function scoreAddressSimilarity(a, b) {
+  const tokensA = new Set(getAddressTokens(a));
+  const tokensB = new Set(getAddressTokens(b));
+  const shared = [...tokensA].filter(token => tokensB.has(token)).length;
+  const total = new Set([...tokensA, ...tokensB]).size;
+  return total ? shared / total : 0;
+}
+
+/**
+ * Pick the examples most similar to an address
+ * @param {string} address - Address about to be parsed
+ * @param {object[]} examples - Example library
+ * @param {number} count - Maximum number of examples
+ * @returns {object[]} Examples, most similar first
+ */
+function selectExamples(address, examples, count) {
+  return examples
+    .map(example => ({ example, score: scoreAddressSimilarity(address, example.address) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, count)
+    .map(({ example }) => example);
+}
@@ -0,0 +1,40 @@
+/**
+ * Tests for the few-shot example library in examples.js, run with `npm test`
+ * against the in-memory chrome.storage of the evaluation suite's extension context
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadExtension } = require('./eval/extension_context');
+
+test('corrections saved at the same time are all kept', async () => {
+  const extension = loadExtension({});
+  const addresses = ['1 Main St, Austin', '2 Oak St, Boise', '3 Elm St, Denver'];
+
+  await Promise.all(addresses.map(address => extension.addExample(address, { City: address.split(', ')[1] })));
+
+  const stored = [...await extension.getExamples()].map(example => example.address);
+  assert.deepStrictEqual(stored.sort(), addresses);
+});
+
+test('deleting while a correction is saved keeps the new example', async () => {
+  const extension = loadExtension({});
+  await extension.addExample('1 Main St, Austin', { City: 'Austin' });
+
+  await Promise.all([
+    extension.updateExamples(stored => stored.filter(example => example.address !== '1 Main St, Austin')),
+    extension.addExample('2 Oak St, Boise', { City: 'Boise' })
+  ]);
+
+  const stored = [...await extension.getExamples()].map(example => example.address);
+  assert.deepStrictEqual(stored, ['2 Oak St, Boise']);
+});
+
+test('a correction for an address already in the library replaces its example', async () => {
+  const extension = loadExtension({});
+  await extension.addExample('1 Main St, Austin', { City: 'Austn' });
+  await extension.addExample('1  main st, austin', { City: 'Austin' });
+
+  const stored = [...await extension.getExamples()];
+  assert.strictEqual(stored.length, 1);
+  assert.strictEqual(stored[0].fields.City, 'Austin');
+});
@@ -0,0 +1,139 @@
+/**
+ * Examples page for Address Parser Extension
+ *
+ * Lists the few-shot example library and lets the user delete examples,
+ * or share the library by exporting and importing it as JSON.
+ */
+document.addEventListener('DOMContentLoaded', function() {
+  const importBtn = document.getElementById('importBtn');
+  const importInput = document.getElementById('importInput');
+  const exportBtn = document.getElementById('exportBtn');
+  const clearBtn = document.getElementById('clearBtn');
+  const statusDiv = document.getElementById('status');
+  const examplesBody = document.getElementById('examplesBody');
+
+  // Example library, newest first
+  let examples = [];
+
+  /**
+   * Load the library and render it
+   */
+  async function loadExamples() {
+    examples = await getExamples();
+    renderExamples();
+  }
+
+  /**
+   * Show a status message
+   * @param {string} text - Message text
+   * @param {string} color - CSS color
+   */
+  function showStatus(text, color) {
+    statusDiv.textContent = text;
+    statusDiv.style.color = color;
+  }
+
+  /**
+   * Render the library
+   */
+  function renderExamples() {
+    examplesBody.replaceChildren(...examples.map(example => {
+      const row = document.createElement('tr');
+      const cells = [
+        { text: example.addedAt ? new Date(example.addedAt).toLocaleString() : '' },
+        { text: example.address, className: 'raw' },
+        {
+          text: ADDRESS_FIELDS.filter(field => example.fields[field]).map(field => `${field}: ${example.fields[field]}`).join('\n'),
+          className: 'parsed'
+        }
+      ];
+
+      row.replaceChildren(...cells.map(({ text, className }) => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        if (className) td.className = className;
+        return td;
+      }));
+
+      const actionCell = document.createElement('td');
+      actionCell.className = 'row-actions';
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'secondary';
+      deleteBtn.textContent = 'Delete';
+      deleteBtn.addEventListener('click', () => handleDelete(example));
+      actionCell.appendChild(deleteBtn);
+      row.appendChild(actionCell);
+
+      return row;
+    }));
+
+    exportBtn.disabled = !examples.length;
+    clearBtn.disabled = !examples.length;
+    showStatus(examples.length ? `${examples.length} example(s)` : 'No examples yet. Correct a parse in the review form to add one.', '#555');
+  }
+
+  /**
+   * Delete one example
+   * @param {object} example - Example to delete
+   */
+  async function handleDelete(example) {
+    await updateExamples(stored => stored.filter(candidate => getExampleKey(candidate) !== getExampleKey(example)));
+    await loadExamples();
+  }
+
+  /**
+   * Delete every example after confirmation
+   */
+  async function handleClear() {
+    if (!confirm(`Delete all ${examples.length} examples?`)) return;
+
+    await updateExamples(() => []);
+    await loadExamples();
+  }
+
+  /**
+   * Add the examples from a JSON file; imported examples replace existing ones for the same address
+   */
+  async function handleImport() {
+    const file = importInput.files[0];
+    if (!file) return;
+    importInput.value = '';
+
+    let imported;
+    try {
+      imported = JSON.parse(await file.text());
+    } catch (error) {
+      showStatus(`${file.name} is not valid JSON: ${error.message}`, 'red');
+      return;
+    }
+    if (!Array.isArray(imported)) {
+      showStatus(`${file.name} must contain a JSON list of examples`, 'red');
+      return;
+    }
+
+    const valid = imported.filter(example => !validateExample(example).length);
+    const now = Date.now();
+    await updateExamples(stored => [
+      ...valid.map(({ address, fields, addedAt }) => ({ address, fields: completeExampleFields(fields), addedAt: addedAt || now })),
+      ...stored
+    ]);
+    await loadExamples();
+
+    const skipped = imported.length - valid.length;
+    showStatus(`Imported ${valid.length} example(s)` + (skipped ? `, skipped ${skipped} invalid` : ''), skipped ? 'orange' : 'green');
+  }
+
+  /**
+   * Download the library as JSON
+   */
+  function handleExport() {
+    downloadFile(JSON.stringify(examples, null, 2), 'address-examples.json', 'application/json');
+  }
+
+  importBtn.addEventListener('click', () => importInput.click());
+  importInput.addEventListener('change', handleImport);
+  exportBtn.addEventListener('click', handleExport);
+  clearBtn.addEventListener('click', handleClear);
+
+  loadExamples();
+});
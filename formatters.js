@@ -0,0 +1,202 @@
+/**
+ * Clipboard output formatters for Address Parser Extension
+ *
+ * Turns a parsed result into the text that is copied: JSON, a TSV or CSV row
+ * for spreadsheets, a single postal line, or a user-defined template. Also
+ * reads CSV input for batch mode and the command-line tool, and offers
+ * exports as file downloads on the extension pages.
+ * Requires countries.js to be loaded first, and address_schema.js for mergeParsedAddresses.
+ */
+
+const OUTPUT_FORMATS = {
+  'json-pretty': 'Pretty JSON',
+  'json-compact': 'Compact JSON',
+  'tsv': 'Tab-separated row',
+  'csv': 'CSV row',
+  'single-line': 'Single line',
+  'template': 'Custom template'
+};
+
+/**
+ * Format a result for the clipboard according to the user's settings
+ * @param {object} result - Original address data merged with the parsed fields (canonical names)
+ * @param {object} settings - Extension settings
+ * @returns {string} Text to copy
+ */
+function formatOutput(result, settings) {
+  const localized = settings.localizeFieldNames ? localizeFieldNames(result) : result;
+  // Columns and templates may use either the canonical or the country-specific field names
+  const lookup = { ...result, ...localized };
+
+  switch (settings.outputFormat) {
+    case 'json-compact':
+      return JSON.stringify(localized);
+    case 'tsv':
+      return parseColumns(settings.outputColumns)
+        .map(column => String(lookup[column] ?? '').replace(/[\t\r\n]+/g, ' '))
+        .join('\t');
+    case 'csv':
+      return toCsvRow(parseColumns(settings.outputColumns).map(column => lookup[column]));
+    case 'single-line':
+      return getAddressPrefixes(result)
+        .map(prefix => (prefix ? `${prefix.trim()}: ` : '') + formatSingleLine(stripPrefix(result, prefix)))
+        .join('\n');
+    case 'template':
+      return renderTemplate(settings.outputTemplate, lookup);
+    default:
+      return JSON.stringify(localized, null, 2);
+  }
+}
+
+/**
+ * Add parsed addresses to the original input data. Each address's fields are
+ * written with its prefix: "" for a single address, e.g. "Billing " when there are several.
+ * @param {object} addressData - Original input data
+ * @param {object[]} addresses - Objects with prefix and data (canonical field names)
+ * @returns {object} Merged result
+ */
+function mergeParsedAddresses(addressData, addresses) {
+  const result = { ...addressData };
+  addresses.forEach(({ prefix, data }) => {
+    ADDRESS_FIELDS.forEach(field => {
+      result[prefix + field] = data[field];
+    });
+  });
+  return result;
+}
+
+/**
+ * Split a comma-separated column list
+ * @param {string} columns - e.g. "Address 1, City, State"
+ * @returns {string[]} Column names
+ */
+function parseColumns(columns) {
+  return columns.split(',').map(column => column.trim()).filter(Boolean);
+}
+
+/**
+ * Build a CSV row, quoting values that contain commas, quotes or line breaks
+ * @param {Array} values - Cell values
+ * @returns {string} CSV row without a trailing newline
+ */
+function toCsvRow(values) {
+  return values
+    .map(value => String(value ?? ''))
+    .map(value => /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value)
+    .join(',');
+}
+
+/**
+ * Parse CSV text into rows of cells, handling quoted fields and escaped quotes
+ * @param {string} text - CSV text
+ * @returns {string[][]} Rows of cells
+ */
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell || record.length) {
+    record.push(cell);
+    records.push(record);
+  }
+
+  return records.filter(cells => cells.some(value => value.trim()));
+}
+
+/**
+ * List the field prefixes of the addresses in a result: "" for plain fields,
+ * "Shipping " and "Billing " for namespaced ones
+ * @param {object} result - Result with one or more addresses
+ * @returns {string[]} Prefixes in field order
+ */
+function getAddressPrefixes(result) {
+  return Object.keys(result)
+    .filter(key => key.endsWith('Address 1'))
+    .map(key => key.slice(0, -'Address 1'.length));
+}
+
+/**
+ * Pick the fields of one namespaced address, without the prefix
+ * @param {object} result - Result with namespaced fields
+ * @param {string} prefix - e.g. "Billing "
+ * @returns {object} Address fields with canonical names
+ */
+function stripPrefix(result, prefix) {
+  return Object.fromEntries(Object.entries(result)
+    .filter(([key]) => key.startsWith(prefix))
+    .map(([key, value]) => [key.slice(prefix.length), value]));
+}
+
+/**
+ * Format an address as one postal line, e.g. "123 Main St, Suite 100, San Francisco, CA 94105, USA"
+ * @param {object} result - Parsed address fields
+ * @returns {string} Single-line address
+ */
+function formatSingleLine(result) {
+  const rule = COUNTRY_RULES[result.Country] || {};
+  // Countries such as Germany write the postal code before the city
+  const locality = rule.postalBeforeCity
+    ? [result.ZIP, result.City].filter(Boolean).join(' ')
+    : [result.City, [result.State, result.ZIP].filter(Boolean).join(' ')].filter(Boolean).join(', ');
+
+  return [result['Address 1'], result['Address 2'], locality, result.Country].filter(Boolean).join(', ');
+}
+
+/**
+ * Fill a mustache-style template such as "{{Address 1}}\n{{City}}, {{State}} {{ZIP}}".
+ * Unknown fields render as empty; "\n" and "\t" escapes become line breaks and tabs.
+ * @param {string} template - Template text
+ * @param {object} values - Field values by name
+ * @returns {string} Rendered text
+ */
+function renderTemplate(template, values) {
+  return template
+    .replace(/\\n/g, '\n')
+    .replace(/\\t/g, '\t')
+    .replace(/\{\{\s*([^}]+?)\s*\}\}/g, (match, field) => String(values[field] ?? ''));
+}
+
+/**
+ * Offer text as a file download from an extension page
+ * @param {string} text - File contents
+ * @param {string} filename - Suggested file name
+ * @param {string} type - MIME type
+ */
+function downloadFile(text, filename, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,116 @@
+/**
+ * Parse history for Address Parser Extension
+ *
+ * Keeps every parse made from the popup in chrome.storage.local, newest
+ * first, trimmed to the retention limits in the settings.
+ *
+ * Only the service worker writes the history: its update queue orders changes
+ * within one context, so the popup and the history page send their changes
+ * to it with requestHistoryUpdate and only read the history themselves.
+ * Requires settings.js to be loaded first.
+ */
+
+const HISTORY_STORAGE_KEY = 'parseHistory';
+
+// Storage updates run one at a time so parses finishing together do not overwrite each other's entries
+let historyUpdateQueue = Promise.resolve();
+
+/**
+ * Load the stored history
+ * @returns {Promise<object[]>} Entries, newest first
+ */
+async function getHistory() {
+  const stored = await chrome.storage.local.get({ [HISTORY_STORAGE_KEY]: [] });
+  return stored[HISTORY_STORAGE_KEY];
+}
+
+/**
+ * Drop the entries that exceed the retention limits
+ * @param {object[]} entries - Entries, newest first
+ * @param {object} settings - Extension settings
+ * @returns {object[]} Entries to keep
+ */
+function applyHistoryRetention(entries, settings) {
+  const cutoff = Date.now() - settings.historyMaxDays * 24 * 60 * 60 * 1000;
+  return entries
+    .filter(entry => !settings.historyMaxDays || entry.timestamp >= cutoff)
+    .slice(0, settings.historyMaxEntries);
+}
+
+/**
+ * Apply a change to the stored history, then store it after applying the retention limits
+ * @param {Function} change - Called with the entries, newest first; returns the entries to store
+ * @returns {Promise<object[]>} The entries that were kept
+ */
+function updateHistory(change) {
+  const update = historyUpdateQueue.then(async () => {
+    const kept = applyHistoryRetention(change(await getHistory()), await getSettings());
+    await chrome.storage.local.set({ [HISTORY_STORAGE_KEY]: kept });
+    return kept;
+  });
+  // The caller sees a failed update; the updates queued after it still run
+  historyUpdateQueue = update.catch(() => {});
+
+  return update;
+}
+
+/**
+ * Record a parse
+ * @param {object} entry - Parse details
+ * @param {object} entry.input - The original input data (raw address fields and any other fields)
+ * @param {object[]} entry.addresses - Per address: role, prefix, raw text, the address that was parsed,
+ *   the parsed fields (data) and the parse method
+ * @param {string} entry.sourceUrl - URL of the tab the input came from, empty for the clipboard
+ * @returns {Promise<object>} The stored entry, with its id, timestamp and overall method
+ */
+async function addHistoryEntry({ input, addresses, sourceUrl }) {
+  const entry = {
+    id: crypto.randomUUID(),
+    timestamp: Date.now(),
+    sourceUrl,
+    method: [...new Set(addresses.map(({ method }) => method))].join('/'),
+    input,
+    addresses
+  };
+  await updateHistory(entries => [entry, ...entries]);
+  return entry;
+}
+
+/**
+ * Replace the parsed fields of an entry, e.g. with the values the user reviewed and copied
+ * @param {string} id - Entry id
+ * @param {object[]} addresses - Objects with prefix and data (canonical field names)
+ * @returns {Promise<void>}
+ */
+async function updateHistoryAddresses(id, addresses) {
+  await updateHistory(entries => entries.map(entry => entry.id !== id ? entry : {
+    ...entry,
+    addresses: entry.addresses.map(address => {
+      const edited = addresses.find(({ prefix }) => prefix === address.prefix);
+      return edited ? { ...address, data: edited.data } : address;
+    })
+  }));
+}
+
+/**
+ * Delete entries
+ * @param {string[]} ids - Ids of the entries to delete
+ * @returns {Promise<void>}
+ */
+async function deleteHistoryEntries(ids) {
+  await updateHistory(entries => entries.filter(entry => !ids.includes(entry.id)));
+}
+
+/**
+ * Have the service worker change the history, from the popup or the history page
+ * @param {object} message - addHistoryEntry with the entry, updateHistoryAddresses with
+ *   the id and addresses, or deleteHistoryEntries with the ids
+ * @returns {Promise<object>} The service worker's response; for addHistoryEntry, the stored entry
+ */
+async function requestHistoryUpdate(message) {
+  const response = await chrome.runtime.sendMessage(message);
+  if (!response || !response.success) {
+    throw new Error(response?.error || 'Could not update the history');
+  }
+  return response;
+}
@@ -0,0 +1,109 @@
+/**
+ * Tests for the parse history in history.js, run with `npm test` against the
+ * in-memory chrome.storage of the evaluation suite's extension context, alone
+ * or shared with a page context
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { loadExtension, sendMessage, createStorageArea } = require('./eval/extension_context');
+
+/**
+ * A history entry for one parsed address
+ * @param {string} city - City of the parsed address
+ * @returns {object} Entry as passed to addHistoryEntry
+ */
+function createEntry(city) {
+  return { input: {}, addresses: [{ prefix: '', method: 'regex', data: { City: city } }], sourceUrl: '' };
+}
+
+/**
+ * Load history.js into a second context, like the popup or the history page: it
+ * shares the service worker's storage and sends its messages to the service worker
+ * @param {object} worker - Service worker context from loadExtension
+ * @param {object} store - The values behind the service worker's chrome.storage.local
+ * @returns {object} vm context holding the page's history functions
+ */
+function loadPage(worker, store) {
+  const page = {
+    crypto: globalThis.crypto,
+    chrome: {
+      runtime: { sendMessage: async message => sendMessage(worker, message) },
+      storage: { local: createStorageArea(store) }
+    }
+  };
+  vm.createContext(page);
+  ['settings.js', 'history.js'].forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, file), 'utf8'), page, { filename: file });
+  });
+  return page;
+}
+
+test('parses recorded at the same time are all kept', async () => {
+  const extension = loadExtension({});
+  const cities = ['Austin', 'Boise', 'Denver', 'Miami', 'Toledo'];
+
+  await Promise.all(cities.map(city => extension.addHistoryEntry(createEntry(city))));
+
+  const stored = [...await extension.getHistory()].map(entry => entry.addresses[0].data.City);
+  assert.deepStrictEqual(stored.sort(), cities);
+});
+
+test('an edit and a new parse at the same time are both kept', async () => {
+  const extension = loadExtension({});
+  const first = await extension.addHistoryEntry(createEntry('Austin'));
+
+  await Promise.all([
+    extension.updateHistoryAddresses(first.id, [{ prefix: '', data: { City: 'Dallas' } }]),
+    extension.addHistoryEntry(createEntry('Boise'))
+  ]);
+
+  const stored = [...await extension.getHistory()].map(entry => entry.addresses[0].data.City);
+  assert.deepStrictEqual(stored, ['Boise', 'Dallas']);
+});
+
+test('deleting while a parse is recorded keeps the new parse', async () => {
+  const extension = loadExtension({});
+  const first = await extension.addHistoryEntry(createEntry('Austin'));
+
+  await Promise.all([
+    extension.deleteHistoryEntries([first.id]),
+    extension.addHistoryEntry(createEntry('Boise'))
+  ]);
+
+  const stored = [...await extension.getHistory()].map(entry => entry.addresses[0].data.City);
+  assert.deepStrictEqual(stored, ['Boise']);
+});
+
+test('parses recorded by a page and the service worker at the same time are all kept', async () => {
+  const store = {};
+  const worker = loadExtension({}, { store });
+  const page = loadPage(worker, store);
+
+  await Promise.all([
+    worker.addHistoryEntry(createEntry('Austin')),
+    page.requestHistoryUpdate({ type: 'addHistoryEntry', entry: createEntry('Boise') }),
+    worker.addHistoryEntry(createEntry('Denver')),
+    page.requestHistoryUpdate({ type: 'addHistoryEntry', entry: createEntry('Miami') })
+  ]);
+
+  const stored = [...await page.getHistory()].map(entry => entry.addresses[0].data.City);
+  assert.deepStrictEqual(stored.sort(), ['Austin', 'Boise', 'Denver', 'Miami']);
+});
+
+test('a delete from a page while the service worker records a parse keeps the new parse', async () => {
+  const store = {};
+  const worker = loadExtension({}, { store });
+  const page = loadPage(worker, store);
+  const { entry: first } = await page.requestHistoryUpdate({ type: 'addHistoryEntry', entry: createEntry('Austin') });
+
+  await Promise.all([
+    page.requestHistoryUpdate({ type: 'deleteHistoryEntries', ids: [first.id] }),
+    worker.addHistoryEntry(createEntry('Boise'))
+  ]);
+
+  const stored = [...await page.getHistory()].map(entry => entry.addresses[0].data.City);
+  assert.deepStrictEqual(stored, ['Boise']);
+});
@@ -0,0 +1,224 @@
+/**
+ * History page for Address Parser Extension
+ *
+ * Lists the stored parses with search, and lets the user copy a result again,
+ * re-parse it, delete it, or export the history as CSV or JSON.
+ */
+document.addEventListener('DOMContentLoaded', function() {
+  const searchInput = document.getElementById('searchInput');
+  const exportCsvBtn = document.getElementById('exportCsvBtn');
+  const exportJsonBtn = document.getElementById('exportJsonBtn');
+  const clearBtn = document.getElementById('clearBtn');
+  const statusDiv = document.getElementById('status');
+  const historyBody = document.getElementById('historyBody');
+
+  // Stored entries, newest first
+  let entries = [];
+  // Request ids of the re-parses in progress, cancelled when the page is closed
+  const activeRequestIds = new Set();
+
+  /**
+   * Load the history and render it
+   */
+  async function loadHistory() {
+    entries = await getHistory();
+    renderHistory();
+  }
+
+  /**
+   * Entries matching the search box
+   * @returns {object[]} Matching entries, newest first
+   */
+  function getVisibleEntries() {
+    const query = searchInput.value.trim().toLowerCase();
+    if (!query) return entries;
+
+    return entries.filter(entry => [
+      entry.sourceUrl,
+      ...entry.addresses.flatMap(({ raw, data }) => [raw, ...Object.values(data)])
+    ].join('\n').toLowerCase().includes(query));
+  }
+
+  /**
+   * Describe the parsed addresses of an entry, one postal line per address
+   * @param {object} entry - History entry
+   * @returns {string} Parsed addresses
+   */
+  function describeAddresses(entry) {
+    return entry.addresses
+      .map(({ prefix, data }) => (prefix ? `${prefix.trim()}: ` : '') + formatSingleLine(data))
+      .join('\n');
+  }
+
+  /**
+   * Show a status message
+   * @param {string} text - Message text
+   * @param {string} color - CSS color
+   */
+  function showStatus(text, color) {
+    statusDiv.textContent = text;
+    statusDiv.style.color = color;
+  }
+
+  /**
+   * Render the entries matching the search
+   */
+  function renderHistory() {
+    const visibleEntries = getVisibleEntries();
+
+    historyBody.replaceChildren(...visibleEntries.map(entry => {
+      const row = document.createElement('tr');
+      const cells = [
+        { text: new Date(entry.timestamp).toLocaleString() },
+        { text: entry.sourceUrl || 'Clipboard', className: 'source' },
+        { text: entry.addresses.map(({ raw }) => raw).join('\n\n'), className: 'raw' },
+        { text: describeAddresses(entry), className: 'parsed' },
+        { text: entry.method }
+      ];
+
+      row.replaceChildren(...cells.map(({ text, className }) => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        if (className) td.className = className;
+        return td;
+      }));
+
+      const actionCell = document.createElement('td');
+      actionCell.className = 'row-actions';
+      [['Copy', handleCopy], ['Re-parse', handleReparse], ['Delete', handleDelete]].forEach(([label, handler]) => {
+        const button = document.createElement('button');
+        button.className = 'secondary';
+        button.textContent = label;
+        button.addEventListener('click', () => handler(entry));
+        actionCell.appendChild(button);
+      });
+      row.appendChild(actionCell);
+
+      return row;
+    }));
+
+    exportCsvBtn.disabled = !visibleEntries.length;
+    exportJsonBtn.disabled = !visibleEntries.length;
+    clearBtn.disabled = !entries.length;
+    if (!entries.length) {
+      showStatus('No parses recorded yet', '#555');
+    } else {
+      showStatus(`Showing ${visibleEntries.length} of ${entries.length} entries`, '#555');
+    }
+  }
+
+  /**
+   * Copy an entry's result in the current clipboard format
+   * @param {object} entry - History entry
+   */
+  async function handleCopy(entry) {
+    const settings = await getSettings();
+    const text = formatOutput(mergeParsedAddresses(entry.input, entry.addresses), settings);
+
+    try {
+      await navigator.clipboard.writeText(text);
+      showStatus('✓ Copied to clipboard', 'green');
+    } catch (error) {
+      showStatus(`Could not copy to clipboard: ${error.message}`, 'red');
+    }
+  }
+
+  /**
+   * Parse an entry's addresses again; the new result is added to the history
+   * @param {object} entry - History entry
+   */
+  async function handleReparse(entry) {
+    showStatus('Re-parsing...', 'blue');
+
+    const requestId = crypto.randomUUID();
+    activeRequestIds.add(requestId);
+    try {
+      const addresses = [];
+      for (const address of entry.addresses) {
+        const response = await chrome.runtime.sendMessage({
+          type: 'parseAddress',
+          requestId,
+          address: address.address,
+          contact: String(entry.input.Contact || '')
+        });
+        if (!response || !response.success) {
+          throw new Error(response?.error || 'Failed to parse address');
+        }
+        addresses.push({ ...address, data: response.data, method: response.method });
+      }
+
+      await requestHistoryUpdate({ type: 'addHistoryEntry', entry: { input: entry.input, addresses, sourceUrl: entry.sourceUrl } });
+      await loadHistory();
+      showStatus('✓ Re-parsed; the new result is at the top', 'green');
+    } catch (error) {
+      showStatus(`Re-parse failed: ${error.message}`, 'red');
+    } finally {
+      activeRequestIds.delete(requestId);
+    }
+  }
+
+  /**
+   * Stop the re-parses still running when the page is closed
+   */
+  function handlePageHide() {
+    activeRequestIds.forEach(requestId => chrome.runtime.sendMessage({ type: 'cancelParse', requestId }));
+  }
+
+  /**
+   * Delete one entry
+   * @param {object} entry - History entry
+   */
+  async function handleDelete(entry) {
+    await requestHistoryUpdate({ type: 'deleteHistoryEntries', ids: [entry.id] });
+    await loadHistory();
+  }
+
+  /**
+   * Delete every entry after confirmation
+   */
+  async function handleClear() {
+    if (!confirm(`Delete all ${entries.length} history entries?`)) return;
+
+    await requestHistoryUpdate({ type: 'deleteHistoryEntries', ids: entries.map(entry => entry.id) });
+    await loadHistory();
+  }
+
+  /**
+   * Build the export rows: when and where each parse happened, then the input
+   * fields with the parsed fields added as in the clipboard JSON
+   * @returns {object[]} Export rows for the entries matching the search
+   */
+  function buildExportRows() {
+    return getVisibleEntries().map(entry => ({
+      'Parsed At': new Date(entry.timestamp).toISOString(),
+      'Source URL': entry.sourceUrl,
+      'Parse Method': entry.method,
+      ...mergeParsedAddresses(entry.input, entry.addresses)
+    }));
+  }
+
+  searchInput.addEventListener('input', renderHistory);
+  window.addEventListener('pagehide', handlePageHide);
+  clearBtn.addEventListener('click', handleClear);
+
+  exportCsvBtn.addEventListener('click', () => {
+    const exportRows = buildExportRows();
+    // Entries can have different fields, e.g. one or two addresses
+    const columns = [...new Set(exportRows.flatMap(row => Object.keys(row)))];
+    const lines = [toCsvRow(columns), ...exportRows.map(row => toCsvRow(columns.map(column => row[column])))];
+    downloadFile(lines.join('\r\n'), 'address-history.csv', 'text/csv');
+  });
+
+  exportJsonBtn.addEventListener('click', () => {
+    downloadFile(JSON.stringify(getVisibleEntries(), null, 2), 'address-history.json', 'application/json');
+  });
+
+  // Show parses made from the popup while this page is open
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[HISTORY_STORAGE_KEY]) {
+      loadHistory();
+    }
+  });
+
+  loadHistory();
+});
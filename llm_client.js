@@ -0,0 +1,177 @@
+/**
+ * LLM request handling for Address Parser Extension
+ *
+ * Wraps fetch with a per-request timeout, retries server errors and failed
+ * connections with exponential backoff, and keeps a circuit breaker that
+ * skips the LLM for a while after repeated failures so parses fall back to
+ * regex at once instead of waiting on a server that is down or still loading.
+ * Loaded by the background service worker and the command-line tool; only the
+ * breaker's storage (getCircuitState, recordLLMFailure, resetCircuit) uses extension APIs.
+ * Requires logger.js to be loaded first.
+ */
+
+// Breaker state lives in session storage so it survives the service worker being stopped
+const LLM_CIRCUIT_STORAGE_KEY = 'llmCircuit';
+
+// Delay before the first retry; doubled for each further retry
+const LLM_RETRY_BASE_DELAY_MS = 500;
+
+// Error message for a parse the user cancelled
+const PARSE_CANCELLED_MESSAGE = 'Parse cancelled';
+
+/**
+ * Throw if the user cancelled the parse
+ * @param {AbortSignal} [signal] - Cancellation signal
+ */
+function throwIfCancelled(signal) {
+  if (signal && signal.aborted) {
+    throw new Error(PARSE_CANCELLED_MESSAGE);
+  }
+}
+
+/**
+ * Wait before a retry, stopping early if the parse is cancelled
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Cancellation signal
+ * @returns {Promise<void>}
+ */
+function waitForRetry(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const handleAbort = () => {
+      clearTimeout(timer);
+      reject(new Error(PARSE_CANCELLED_MESSAGE));
+    };
+    // The listener goes once the wait is over, so retries do not pile them up on the parse's signal
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', handleAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', handleAbort, { once: true });
+  });
+}
+
+/**
+ * Mark an error as a failed request to the LLM server (no connection, a timeout
+ * or an error status), as opposed to a reply the model got wrong. Only these
+ * count toward the circuit breaker.
+ * @param {Error} error - Error to throw
+ * @returns {Error} The same error
+ */
+function markRequestFailure(error) {
+  error.llmRequestFailed = true;
+  return error;
+}
+
+/**
+ * Whether an error is a failed request to the LLM server, see markRequestFailure
+ * @param {Error} error - Error from an LLM parse
+ * @returns {boolean} True for connection, timeout and HTTP status failures
+ */
+function isRequestFailure(error) {
+  return Boolean(error && error.llmRequestFailed);
+}
+
+/**
+ * Fetch from the LLM server with a timeout per attempt. Responses with a 5xx
+ * status and connection failures are retried with exponential backoff;
+ * other responses are returned as they are. The JSON body of a successful
+ * response is read within the same timeout, so a server that stalls mid-body
+ * fails the request like one that never answers.
+ * @param {string} url - Request URL
+ * @param {object} init - fetch options
+ * @param {object} settings - Settings holding llmTimeoutSeconds and llmMaxRetries
+ * @param {AbortSignal} [signal] - Cancels the request, including pending retries
+ * @returns {Promise<{response: Response, data: object|null}>} The last response, and its body
+ *   when the status is 2xx
+ */
+async function fetchLLM(url, init, settings, signal) {
+  for (let attempt = 0; ; attempt++) {
+    throwIfCancelled(signal);
+    const timeoutSignal = settings.llmTimeoutSeconds > 0 ? AbortSignal.timeout(settings.llmTimeoutSeconds * 1000) : null;
+    const requestSignal = AbortSignal.any([signal, timeoutSignal].filter(Boolean));
+    let failure;
+
+    try {
+      const response = await fetch(url, { ...init, signal: requestSignal });
+      if (response.status < 500 || attempt >= settings.llmMaxRetries) {
+        return { response, data: response.ok ? await response.json() : null };
+      }
+      failure = `${response.status} ${response.statusText}`;
+    } catch (error) {
+      throwIfCancelled(signal);
+      if (timeoutSignal && timeoutSignal.aborted) {
+        throw markRequestFailure(new Error(`LLM request timed out after ${settings.llmTimeoutSeconds} s`));
+      }
+      // fetch rejects with a TypeError when the server cannot be reached
+      if (!(error instanceof TypeError)) {
+        throw error;
+      }
+      if (attempt >= settings.llmMaxRetries) {
+        throw markRequestFailure(error);
+      }
+      failure = error.message;
+    }
+
+    const delay = LLM_RETRY_BASE_DELAY_MS * 2 ** attempt;
+    log('warn', `LLM request failed, retrying in ${delay} ms`, { failure, attempt: attempt + 1 });
+    await waitForRetry(delay, signal);
+  }
+}
+
+/**
+ * Read the circuit breaker state
+ * @param {object} settings - Settings holding llmCircuitThreshold and llmCircuitCooldownSeconds
+ * @returns {Promise<{open: boolean, failures: number, retryAt: number}>} Whether the LLM is being
+ *   skipped, the failures in a row, and when it will be tried again
+ */
+async function getCircuitState(settings) {
+  const stored = await chrome.storage.session.get({ [LLM_CIRCUIT_STORAGE_KEY]: { failures: 0, openedAt: 0 } });
+  return describeCircuit(stored[LLM_CIRCUIT_STORAGE_KEY], settings);
+}
+
+/**
+ * Work out the breaker state from the stored failure count
+ * @param {{failures: number, openedAt: number}} circuit - Stored breaker state
+ * @param {object} settings - Settings holding llmCircuitThreshold and llmCircuitCooldownSeconds
+ * @returns {{open: boolean, failures: number, retryAt: number}} Breaker state, as from getCircuitState
+ */
+function describeCircuit({ failures, openedAt }, settings) {
+  const retryAt = openedAt + settings.llmCircuitCooldownSeconds * 1000;
+
+  // After the cooldown the next request is let through; another failure opens the breaker again
+  const open = settings.llmCircuitThreshold > 0 && failures >= settings.llmCircuitThreshold && Date.now() < retryAt;
+  return { open, failures, retryAt };
+}
+
+/**
+ * Count a failed LLM request, opening the breaker when the threshold is reached
+ * @param {object} settings - Extension settings
+ * @returns {Promise<void>}
+ */
+async function recordLLMFailure(settings) {
+  const state = addCircuitFailure(await getCircuitState(settings), settings);
+  await chrome.storage.session.set({ [LLM_CIRCUIT_STORAGE_KEY]: state });
+}
+
+/**
+ * The stored breaker state after one more failure
+ * @param {{failures: number}} circuit - Current breaker state
+ * @param {object} settings - Settings holding llmCircuitThreshold and llmCircuitCooldownSeconds
+ * @returns {{failures: number, openedAt: number}} New state to store
+ */
+function addCircuitFailure({ failures }, settings) {
+  const state = { failures: failures + 1, openedAt: 0 };
+  if (settings.llmCircuitThreshold > 0 && state.failures >= settings.llmCircuitThreshold) {
+    state.openedAt = Date.now();
+    log('warn', `LLM failed ${state.failures} times in a row, using regex parsing for ${settings.llmCircuitCooldownSeconds} s`);
+  }
+  return state;
+}
+
+/**
+ * Close the breaker, after a successful LLM parse or when the user resets it
+ * @returns {Promise<void>}
+ */
+async function resetCircuit() {
+  await chrome.storage.session.remove(LLM_CIRCUIT_STORAGE_KEY);
+}
@@ -0,0 +1,177 @@
+/**
+ * PII-safe logging for Address Parser Extension
+ *
+ * Every context logs through log() instead of console. Details are redacted
+ * before they are printed or kept: values under the keys in REDACTED_KEY (address
+ * fields with or without a role prefix such as "Shipping City", names, contacts,
+ * LLM messages and the values voted on by the ensemble) are replaced by their
+ * length, and quoted text, email addresses, phone numbers and postal codes are
+ * masked in the other strings. Only with verbose logging on are details printed
+ * to the console as they are.
+ * Entries from info level up are kept for the diagnostics page: the background
+ * service worker stores them in session storage and the other contexts send
+ * them there, so they are gone when the browser closes.
+ * Requires settings.js to be loaded first.
+ */
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+const DIAGNOSTICS_STORAGE_KEY = 'diagnostics';
+
+// Entries kept for the diagnostics page, oldest dropped first
+const DIAGNOSTICS_MAX_ENTRIES = 300;
+
+// Keys whose values are personal data or secrets: raw addresses and their fields, optionally
+// prefixed with a role ("Billing Address 1"), names, page fields, LLM messages and tool call
+// arguments, the LLM, regex and ensemble values of disagreements, and API keys
+const REDACTED_KEY = /^(?:\w+ )?(?:raw .*|address(?: \d)?|recipient|company|attention|city|zip|postal code|postcode|contact|account|phone|email|name|text|raw|selection|message|content|arguments|input|value|llm|regex|.*api ?key)$/i;
+
+// Personal data in free text, such as error and validation messages
+const REDACTED_TEXT_PATTERNS = [
+  [/"[^"]*"/g, '"[redacted]"'],
+  [/[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g, '[email]'],
+  [/\+?\(?\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}\b/g, '[phone]'],
+  // ZIP codes and house numbers, but not ports such as :11434
+  [/(?<![:\d])\d{5}(?:-\d{4})?\b/g, '[number]']
+];
+
+// Nesting below this depth is left out of logged details
+const REDACTION_MAX_DEPTH = 8;
+
+// Where log() prints and records; set per context with startLogger or configureLogger
+const loggerConfig = { context: 'extension', level: 'info', verbose: false, record: null };
+
+// Diagnostics writes run one at a time so entries logged together are all kept
+let diagnosticsQueue = Promise.resolve();
+
+/**
+ * Change the logger configuration
+ * @param {object} changes - Any of context (name shown with each entry), level (lowest level
+ *   printed to the console), verbose (print details unredacted) and record (called with each entry to keep)
+ */
+function configureLogger(changes) {
+  Object.assign(loggerConfig, changes);
+}
+
+/**
+ * Set up logging for an extension context: follow the logging settings and
+ * keep entries for the diagnostics page
+ * @param {string} context - Context name, e.g. "background", "popup" or "content"
+ */
+function startLogger(context) {
+  configureLogger({ context, record: context === 'background' ? recordDiagnostics : forwardDiagnostics });
+  applyLoggerSettings();
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && (changes.logLevel || changes.verboseLogging)) {
+      applyLoggerSettings();
+    }
+  });
+}
+
+/**
+ * Apply the saved log level and verbose setting
+ * @returns {Promise<void>}
+ */
+async function applyLoggerSettings() {
+  const settings = await getSettings();
+  configureLogger({ level: settings.logLevel, verbose: settings.verboseLogging });
+}
+
+/**
+ * Log a message. Details are redacted unless verbose logging is on, and
+ * always redacted in the diagnostics entry.
+ * @param {string} level - "debug", "info", "warn" or "error"
+ * @param {string} message - What happened; must not contain personal data
+ * @param {*} [details] - Data for the message, e.g. { address } or an error
+ */
+function log(level, message, details) {
+  const redacted = details === undefined ? undefined : redactForLog(details);
+
+  if (LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(loggerConfig.level)) {
+    const shown = loggerConfig.verbose ? details : redacted;
+    console[level](`[Address Parser] ${message}`, ...(details === undefined ? [] : [shown]));
+  }
+
+  if (loggerConfig.record && level !== 'debug') {
+    loggerConfig.record({ time: Date.now(), level, context: loggerConfig.context, message, details: redacted });
+  }
+}
+
+/**
+ * Copy a value with its personal data removed
+ * @param {*} value - Value to log
+ * @param {boolean} [sensitive] - Whether the value sits under a redacted key
+ * @param {number} [depth] - Nesting depth
+ * @returns {*} Redacted copy; strings under redacted keys become "[redacted, N chars]"
+ */
+function redactForLog(value, sensitive = false, depth = 0) {
+  if (value === null || value === undefined || typeof value === 'number' || typeof value === 'boolean') {
+    return value;
+  }
+  if (typeof value === 'string') {
+    return sensitive ? `[redacted, ${value.length} chars]` : redactText(value);
+  }
+  // Errors may come from another realm, e.g. fetch in the command-line tool
+  if (Object.prototype.toString.call(value) === '[object Error]') {
+    return { name: value.name, message: redactText(value.message) };
+  }
+  if (typeof value !== 'object' || depth >= REDACTION_MAX_DEPTH) {
+    return `[${typeof value}]`;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redactForLog(item, sensitive, depth + 1));
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, item]) =>
+    [key, redactForLog(item, sensitive || REDACTED_KEY.test(key), depth + 1)]));
+}
+
+/**
+ * Mask quoted text, email addresses, phone numbers and postal codes in a string
+ * @param {string} text - Free text
+ * @returns {string} Masked text
+ */
+function redactText(text) {
+  return REDACTED_TEXT_PATTERNS.reduce((masked, [pattern, replacement]) => masked.replace(pattern, replacement), text);
+}
+
+/**
+ * Keep a diagnostics entry in session storage (background service worker only)
+ * @param {object} entry - Redacted log entry
+ * @returns {Promise<void>}
+ */
+function recordDiagnostics(entry) {
+  diagnosticsQueue = diagnosticsQueue
+    .then(async () => {
+      const entries = await getDiagnostics();
+      await chrome.storage.session.set({ [DIAGNOSTICS_STORAGE_KEY]: [...entries, entry].slice(-DIAGNOSTICS_MAX_ENTRIES) });
+    })
+    // Not logged with log(), which would record another entry
+    .catch(error => console.error('[Address Parser] Could not record diagnostics:', error.message));
+
+  return diagnosticsQueue;
+}
+
+/**
+ * Send a diagnostics entry to the background service worker, which stores it
+ * @param {object} entry - Redacted log entry
+ */
+function forwardDiagnostics(entry) {
+  chrome.runtime.sendMessage({ type: 'recordDiagnostics', entry }).catch(() => {});
+}
+
+/**
+ * Load the kept diagnostics entries
+ * @returns {Promise<object[]>} Entries, oldest first
+ */
+async function getDiagnostics() {
+  const stored = await chrome.storage.session.get({ [DIAGNOSTICS_STORAGE_KEY]: [] });
+  return stored[DIAGNOSTICS_STORAGE_KEY];
+}
+
+/**
+ * Delete the kept diagnostics entries
+ * @returns {Promise<void>}
+ */
+async function clearDiagnostics() {
+  await chrome.storage.session.remove(DIAGNOSTICS_STORAGE_KEY);
+}
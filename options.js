@@ -0,0 +1,295 @@
+/**
+ * Options page for Address Parser Extension
+ *
+ * Lets the user point the parser at any OpenAI-compatible server
+ * and stores the endpoint, model and generation settings.
+ */
+document.addEventListener('DOMContentLoaded', function() {
+  const statusDiv = document.getElementById('status');
+  const modelList = document.getElementById('modelList');
+  const modelOptions = document.getElementById('modelOptions');
+  const saveBtn = document.getElementById('saveBtn');
+  const testBtn = document.getElementById('testBtn');
+  const fieldIds = Object.keys(DEFAULT_SETTINGS);
+
+  document.getElementById('outputFormat').replaceChildren(...Object.entries(OUTPUT_FORMATS).map(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    return option;
+  }));
+
+  loadForm();
+
+  /**
+   * Fill the form with the saved settings
+   */
+  async function loadForm() {
+    const settings = await getSettings();
+    fieldIds.forEach(id => {
+      const input = document.getElementById(id);
+      if (input.type === 'checkbox') {
+        input.checked = settings[id];
+      } else if (typeof settings[id] === 'object') {
+        input.value = JSON.stringify(settings[id], null, 2);
+      } else {
+        input.value = settings[id];
+      }
+    });
+  }
+
+  /**
+   * Read and validate the form values
+   * @returns {object|null} Settings object, or null if the form is invalid
+   */
+  function readForm() {
+    const settings = {
+      llmBaseUrl: document.getElementById('llmBaseUrl').value.trim(),
+      llmModel: document.getElementById('llmModel').value.trim() || DEFAULT_SETTINGS.llmModel,
+      llmApiKey: document.getElementById('llmApiKey').value,
+      temperature: parseFloat(document.getElementById('temperature').value),
+      maxTokens: parseInt(document.getElementById('maxTokens').value, 10),
+      structuredOutput: document.getElementById('structuredOutput').value,
+      llmTimeoutSeconds: parseInt(document.getElementById('llmTimeoutSeconds').value, 10),
+      llmMaxRetries: parseInt(document.getElementById('llmMaxRetries').value, 10),
+      llmCircuitThreshold: parseInt(document.getElementById('llmCircuitThreshold').value, 10),
+      llmCircuitCooldownSeconds: parseInt(document.getElementById('llmCircuitCooldownSeconds').value, 10),
+      ensembleEnabled: document.getElementById('ensembleEnabled').checked,
+      ensembleModels: readEnsembleModels(),
+      ensemblePrimaryWeight: parseFloat(document.getElementById('ensemblePrimaryWeight').value),
+      ensembleRegexWeight: parseFloat(document.getElementById('ensembleRegexWeight').value),
+      localizeFieldNames: document.getElementById('localizeFieldNames').checked,
+      addressNormalization: document.getElementById('addressNormalization').value,
+      outputFormat: document.getElementById('outputFormat').value,
+      outputColumns: document.getElementById('outputColumns').value.trim() || DEFAULT_SETTINGS.outputColumns,
+      outputTemplate: document.getElementById('outputTemplate').value || DEFAULT_SETTINGS.outputTemplate,
+      extractionRules: readExtractionRules(),
+      flagAddressDifferences: document.getElementById('flagAddressDifferences').checked,
+      historyMaxEntries: parseInt(document.getElementById('historyMaxEntries').value, 10),
+      historyMaxDays: parseInt(document.getElementById('historyMaxDays').value, 10),
+      cacheMaxEntries: parseInt(document.getElementById('cacheMaxEntries').value, 10),
+      cacheTtlDays: parseInt(document.getElementById('cacheTtlDays').value, 10),
+      learnFromCorrections: document.getElementById('learnFromCorrections').checked,
+      fewShotCount: parseInt(document.getElementById('fewShotCount').value, 10),
+      logLevel: document.getElementById('logLevel').value,
+      verboseLogging: document.getElementById('verboseLogging').checked
+    };
+
+    if (!settings.extractionRules) {
+      showStatus('Extraction rules must be a JSON list of rules, each with a name and addressBlocks', 'red');
+      return null;
+    }
+
+    try {
+      const url = new URL(settings.llmBaseUrl);
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw new Error('Unsupported protocol');
+      }
+    } catch (error) {
+      showStatus('Base URL must be a valid http(s) URL', 'red');
+      return null;
+    }
+
+    if (isNaN(settings.temperature) || settings.temperature < 0) {
+      showStatus('Temperature must be a number of 0 or more', 'red');
+      return null;
+    }
+
+    if (isNaN(settings.maxTokens) || settings.maxTokens < 1) {
+      showStatus('Max tokens must be a positive whole number', 'red');
+      return null;
+    }
+
+    if (isNaN(settings.llmTimeoutSeconds) || settings.llmTimeoutSeconds < 0 ||
+        isNaN(settings.llmMaxRetries) || settings.llmMaxRetries < 0 ||
+        isNaN(settings.llmCircuitThreshold) || settings.llmCircuitThreshold < 0) {
+      showStatus('Timeout, retries and failures before pausing must be whole numbers of 0 or more', 'red');
+      return null;
+    }
+
+    if (isNaN(settings.llmCircuitCooldownSeconds) || settings.llmCircuitCooldownSeconds < 1) {
+      showStatus('Pause length must be a positive whole number of seconds', 'red');
+      return null;
+    }
+
+    if (!settings.ensembleModels) {
+      showStatus('Ensemble models must be a JSON list, each with an llmModel, an http(s) llmBaseUrl if given and a weight of 0 or more', 'red');
+      return null;
+    }
+
+    if (settings.ensembleEnabled && !settings.ensembleModels.length) {
+      showStatus('Add at least one ensemble model to use ensemble mode', 'red');
+      return null;
+    }
+
+    if (isNaN(settings.ensemblePrimaryWeight) || settings.ensemblePrimaryWeight < 0 ||
+        isNaN(settings.ensembleRegexWeight) || settings.ensembleRegexWeight < 0) {
+      showStatus('Ensemble weights must be numbers of 0 or more', 'red');
+      return null;
+    }
+
+    if (isNaN(settings.historyMaxEntries) || settings.historyMaxEntries < 0 ||
+        isNaN(settings.historyMaxDays) || settings.historyMaxDays < 0) {
+      showStatus('History limits must be whole numbers of 0 or more', 'red');
+      return null;
+    }
+
+    if (isNaN(settings.cacheMaxEntries) || settings.cacheMaxEntries < 0 ||
+        isNaN(settings.cacheTtlDays) || settings.cacheTtlDays < 0) {
+      showStatus('Cache limits must be whole numbers of 0 or more', 'red');
+      return null;
+    }
+
+    if (isNaN(settings.fewShotCount) || settings.fewShotCount < 0) {
+      showStatus('Examples per request must be a whole number of 0 or more', 'red');
+      return null;
+    }
+
+    return settings;
+  }
+
+  /**
+   * Parse the extraction rules textarea
+   * @returns {object[]|null} Rules, or null if the JSON is invalid or a rule lacks a name or address label
+   */
+  function readExtractionRules() {
+    try {
+      const rules = JSON.parse(document.getElementById('extractionRules').value);
+      const valid = Array.isArray(rules) && rules.every(rule => rule && rule.name && (rule.addressBlocks || rule.addressLabel));
+      return valid ? rules : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Parse the ensemble models textarea
+   * @returns {object[]|null} Models, or null if the JSON is invalid or a model lacks a name, has a bad URL or weight
+   */
+  function readEnsembleModels() {
+    try {
+      const models = JSON.parse(document.getElementById('ensembleModels').value || '[]');
+      const valid = Array.isArray(models) && models.every(model => model && typeof model.llmModel === 'string' && model.llmModel.trim() &&
+        (!model.llmBaseUrl || /^https?:$/.test(new URL(model.llmBaseUrl).protocol)) &&
+        (model.weight === undefined || (typeof model.weight === 'number' && model.weight >= 0)));
+      return valid ? models : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Ask for access to the configured server origins, the ensemble models' included.
+   * Must be called directly from a click handler to keep the user gesture.
+   * @param {object} settings - Settings from readForm
+   * @returns {Promise<boolean>} Whether the permission is granted
+   */
+  function requestHostPermission(settings) {
+    const baseUrls = [settings.llmBaseUrl, ...settings.ensembleModels.map(model => model.llmBaseUrl).filter(Boolean)];
+    return chrome.permissions.request({ origins: [...new Set(baseUrls.map(getOriginPattern))] });
+  }
+
+  /**
+   * Show a status message
+   * @param {string} text - Message text
+   * @param {string} color - CSS color
+   */
+  function showStatus(text, color) {
+    statusDiv.textContent = text;
+    statusDiv.style.color = color;
+  }
+
+  /**
+   * Render the models reported by the server and offer them as suggestions
+   * @param {string[]} models - Model ids
+   */
+  function renderModels(models) {
+    modelList.replaceChildren();
+    modelOptions.replaceChildren();
+
+    models.forEach(model => {
+      const item = document.createElement('li');
+      item.textContent = model;
+      item.title = 'Use this model';
+      item.addEventListener('click', () => {
+        document.getElementById('llmModel').value = model;
+      });
+      modelList.appendChild(item);
+
+      const option = document.createElement('option');
+      option.value = model;
+      modelOptions.appendChild(option);
+    });
+  }
+
+  /**
+   * Save the form after obtaining access to the configured origin
+   */
+  async function handleSave() {
+    const settings = readForm();
+    if (!settings) return;
+
+    const granted = await requestHostPermission(settings);
+    if (!granted) {
+      showStatus('Access to this server was not granted. Settings not saved.', 'red');
+      return;
+    }
+
+    await saveSettings(settings);
+    showStatus('✓ Settings saved', 'green');
+  }
+
+  /**
+   * Query /v1/models with the current form values
+   */
+  async function handleTestConnection() {
+    const settings = readForm();
+    if (!settings) return;
+
+    const granted = await requestHostPermission(settings);
+    if (!granted) {
+      showStatus('Access to this server was not granted', 'red');
+      return;
+    }
+
+    showStatus('Connecting...', 'blue');
+    renderModels([]);
+
+    const response = await chrome.runtime.sendMessage({ type: 'listModels', settings });
+    if (!response || !response.success) {
+      showStatus(`Connection failed: ${response?.error || 'no response'}`, 'red');
+      return;
+    }
+
+    showStatus(`✓ Connected. ${response.models.length} model(s) available:`, 'green');
+    renderModels(response.models);
+  }
+
+  document.getElementById('resetRulesLink').addEventListener('click', event => {
+    event.preventDefault();
+    document.getElementById('extractionRules').value = JSON.stringify(DEFAULT_EXTRACTION_RULES, null, 2);
+  });
+
+  document.getElementById('clearCacheLink').addEventListener('click', async event => {
+    event.preventDefault();
+    const response = await chrome.runtime.sendMessage({ type: 'clearCache' });
+    if (!response || !response.success) {
+      showStatus(`Could not clear the cache: ${response?.error || 'no response'}`, 'red');
+      return;
+    }
+    showStatus('✓ Cache cleared', 'green');
+  });
+
+  document.getElementById('resetCircuitLink').addEventListener('click', async event => {
+    event.preventDefault();
+    const response = await chrome.runtime.sendMessage({ type: 'resetCircuit' });
+    if (!response || !response.success) {
+      showStatus(`Could not resume the LLM: ${response?.error || 'no response'}`, 'red');
+      return;
+    }
+    showStatus('✓ The next parse will try the LLM again', 'green');
+  });
+
+  saveBtn.addEventListener('click', handleSave);
+  testBtn.addEventListener('click', handleTestConnection);
+});
@@ -0,0 +1,728 @@
+/**
+ * Address parsing core for Address Parser Extension
+ *
+ * The parsing pipeline shared by the extension and the command-line tool:
+ * recipient line splitting and address cleanup, the LLM request with schema
+ * validation and one repair attempt, the regex fallback, and result shaping
+ * (normalization, validation, confidence). It uses no extension APIs; the
+ * steps backed by storage (cache, few-shot examples, circuit breaker) are
+ * passed in as hooks, so callers without them simply skip those steps.
+ * Requires settings.js, logger.js, address_schema.js, us_reference.js, countries.js,
+ * validation.js, confidence.js, llm_client.js, examples.js, usps.js and ensemble.js to be loaded first.
+ */
+
+// Part of the LLM cache key; bump when the prompt or reply handling changes so older cached results are not reused
+const ADDRESS_PROMPT_VERSION = 3;
+
+// Name of the function the model is asked to call in tool-calling mode
+const ADDRESS_TOOL_NAME = 'record_address';
+
+const ADDRESS_SYSTEM_PROMPT = `You are an address parsing assistant specialized in extracting address components accurately.
+
+Extract the components of an address into a JSON structure with these exact fields: "Recipient", "Company", "Attention", "Address 1", "Address 2", "City", "State", "ZIP", "Country", and "Address Type".
+
+Important guidelines:
+1. "Recipient" is the person's name, "Company" the company or organization name, and "Attention" the ATTN person, a "c/o" line (keep the "c/o") or a department line. Never put these in "Address 1" or "Address 2".
+2. "Address 1" should contain the street number and name (e.g., "123 Main St")
+3. "Address 2" should contain apartment numbers, suite numbers, unit numbers, floor designations, building names, etc. (e.g., "Apt 101", "Suite B", "Unit 5", "Floor 3", "#42")
+4. If a component is not present, leave its value as an empty string.
+5. If you're uncertain about a component, make your best guess based on common address patterns.
+6. "State" holds the state, province or county code (e.g., "CA", "ON", "NSW") and "ZIP" holds the postal code or postcode in its national format (e.g., "94105", "M5V 2T6", "SW1A 2AA").
+7. "Country" must be the ISO 3166-1 alpha-3 code (e.g., "USA", "CAN", "GBR", "DEU", "AUS"). If no country is written, infer it from the postal code format and region; assume USA only for US-style addresses.
+8. "Address Type" is "Street", "PO Box", "Military" or "Rural Route":
+   - PO Box: the box goes in "Address 1" (e.g., "PO Box 123"), or in "Address 2" when it follows a street address.
+   - Military (APO/FPO/DPO): "Address 1" holds the unit or ship and the box (e.g., "PSC 1234 Box 5678", "Unit 2050 Box 4190", "USS Nimitz CVN 68"), "City" is "APO", "FPO" or "DPO", "State" is "AA", "AE" or "AP", and "Country" is "USA". Never put the box number in "City".
+   - Rural Route: "Address 1" holds the route and box (e.g., "RR 2 Box 40", "HC 68 Box 23A").
+9. The output should be valid JSON format with no additional commentary.`;
+
+// Hooks used when the caller does not supply them: no cache, no examples, the LLM never paused
+const DEFAULT_PARSE_HOOKS = {
+  readCachedResult: async () => null,
+  cacheResult: async () => {},
+  loadExamples: async () => [],
+  getCircuit: async () => ({ open: false, failures: 0 }),
+  recordFailure: async () => {},
+  recordSuccess: async () => {}
+};
+
+/**
+ * Parse an address, preferring the LLM and falling back to regex parsing.
+ * The regex parser always runs so the two results can be compared.
+ * Both results are normalized to USPS Pub 28 style when that setting is on.
+ * While the circuit breaker is open after repeated LLM failures, the regex result is used at once.
+ * In ensemble mode every configured model is asked and each field is voted on, the regex result included.
+ * @param {string} address - Raw address string
+ * @param {object} settings - Settings, e.g. from getSettings or DEFAULT_SETTINGS
+ * @param {object} [options]
+ * @param {string} [options.contact] - Contact name from the order, recognized as the recipient by the regex parser
+ * @param {AbortSignal} [options.signal] - Cancels the parse; it then rejects instead of falling back
+ * @param {object} [options.hooks] - Storage-backed steps, any of the keys of DEFAULT_PARSE_HOOKS:
+ *   readCachedResult() and cacheResult(llm) for LLM results, loadExamples() for the few-shot library,
+ *   getCircuit(), recordFailure() and recordSuccess() for the circuit breaker
+ * @returns {Promise<object>} Result, method used, LLM stats, cache hit, validation, confidence and disagreements,
+ *   plus the ensemble's sources and votes per field (null outside ensemble mode)
+ */
+async function runParsePipeline(address, settings, { contact = '', signal, hooks = {} } = {}) {
+  const steps = { ...DEFAULT_PARSE_HOOKS, ...hooks };
+  const startTime = performance.now();
+  log('info', 'Parse started', { length: address.length, lines: address.split('\n').length });
+  const rawRegexResult = parseAddressWithRegex(address, contact);
+  const regexResult = normalizeAddressFields(rawRegexResult, settings.addressNormalization);
+
+  let llm = await steps.readCachedResult();
+  const cacheHit = Boolean(llm);
+  if (cacheHit) log('info', 'LLM result read from the cache');
+  let llmError = '';
+  const circuit = await steps.getCircuit();
+  try {
+    if (!llm && circuit.open) {
+      llmError = `LLM paused after ${circuit.failures} failures in a row`;
+      log('warn', llmError);
+    } else if (!llm) {
+      const options = { examples: await steps.loadExamples(), signal };
+      llm = isEnsembleEnabled(settings)
+        ? await parseAddressWithEnsemble(address, settings, rawRegexResult, options)
+        : await parseAddressWithLLM(address, settings, options);
+      log('info', 'LLM parse finished', {
+        model: llm.model,
+        latencyMs: llm.latencyMs,
+        totalTokens: llm.usage ? llm.usage.total_tokens : null,
+        repaired: llm.repaired,
+        exampleCount: llm.exampleCount
+      });
+      if (circuit.failures) await steps.recordSuccess();
+      await steps.cacheResult(llm);
+    }
+  } catch (error) {
+    throwIfCancelled(signal);
+    log('error', 'Error calling local LLM', error);
+    // A reply that failed the schema came from a working server, so only request failures trip the breaker
+    if (isRequestFailure(error)) await steps.recordFailure();
+    
+    // Fallback to regex parsing if LLM fails
+    log('info', 'Falling back to regex parsing');
+    llmError = error.message;
+  }
+
+  const method = llm ? 'llm' : 'regex';
+  const data = llm ? normalizeAddressFields(llm.data, settings.addressNormalization) : regexResult;
+  const validation = validateAddress(data);
+  const ensemble = llm && llm.ensemble ? llm.ensemble : null;
+  const disagreements = ensemble
+    ? findContestedFields(ensemble.votes, data, regexResult)
+    : llm ? findDisagreements(data, regexResult) : [];
+  log('info', 'Parse finished', {
+    method,
+    totalMs: Math.round(performance.now() - startTime),
+    addressType: data['Address Type'],
+    country: data.Country,
+    warnings: validation.warnings.length,
+    disagreements: disagreements.map(({ field }) => field)
+  });
+
+  return {
+    data,
+    method,
+    usedLLM: method === 'llm',
+    llm: llm && {
+      model: llm.model,
+      latencyMs: llm.latencyMs,
+      usage: llm.usage,
+      repaired: llm.repaired,
+      exampleCount: llm.exampleCount
+    },
+    llmError,
+    cacheHit,
+    validation,
+    disagreements,
+    ensemble,
+    confidence: scoreConfidence(data, { method, validation, disagreements })
+  };
+}
+
+/**
+ * Parse an address with every ensemble model in parallel and vote on each
+ * field, the regex result counting as one more vote. Models that fail are
+ * left out of the vote; it fails only when all of them do.
+ * @param {string} address - Raw address string
+ * @param {object} settings - Extension settings
+ * @param {object} regexResult - Result from the regex parser, before normalization
+ * @param {object} [options] - Options for parseAddressWithLLM (examples, signal)
+ * @returns {Promise<object>} Voted fields with model names, latency, summed token usage and the
+ *   number of few-shot examples sent, like parseAddressWithLLM, plus the sources and votes
+ */
+async function parseAddressWithEnsemble(address, settings, regexResult, options = {}) {
+  const startTime = performance.now();
+  const members = getEnsembleMembers(settings);
+  const outcomes = await Promise.allSettled(members.map(member => parseAddressWithLLM(address, member.settings, options)));
+  throwIfCancelled(options.signal);
+  outcomes
+    .map((outcome, index) => ({ outcome, member: members[index] }))
+    .filter(({ outcome }) => outcome.status === 'rejected')
+    .forEach(({ outcome, member }) => log('warn', `Ensemble model ${member.name} failed`, outcome.reason));
+
+  const sources = members.map((member, index) => {
+    const { status, value, reason } = outcomes[index];
+    return {
+      name: member.name,
+      model: member.settings.llmModel,
+      weight: member.weight,
+      latencyMs: status === 'fulfilled' ? value.latencyMs : null,
+      error: status === 'fulfilled' ? '' : reason.message
+    };
+  });
+  const parsed = outcomes.map(outcome => outcome.value).filter(Boolean);
+  if (!parsed.length) {
+    const error = new Error(`Every ensemble model failed: ${sources.map(({ name, error }) => `${name}: ${error}`).join('; ')}`);
+    throw outcomes.some(({ reason }) => isRequestFailure(reason)) ? markRequestFailure(error) : error;
+  }
+
+  const ballots = [
+    ...members
+      .map((member, index) => ({ name: member.name, weight: member.weight, data: outcomes[index].value && outcomes[index].value.data }))
+      .filter(ballot => ballot.data),
+    { name: REGEX_VOTER_NAME, weight: Number(settings.ensembleRegexWeight), data: regexResult }
+  ];
+  const { data, votes } = voteOnFields(ballots);
+
+  return {
+    data,
+    model: parsed.map(llm => llm.model).join(' + '),
+    latencyMs: Math.round(performance.now() - startTime),
+    usage: sumTokenUsage(parsed.map(llm => llm.usage)),
+    repaired: parsed.some(llm => llm.repaired),
+    exampleCount: parsed[0].exampleCount,
+    ensemble: {
+      sources: [...sources, { name: REGEX_VOTER_NAME, model: '', weight: Number(settings.ensembleRegexWeight), latencyMs: null, error: '' }],
+      votes
+    }
+  };
+}
+
+/**
+ * Parse address using LM Studio's local LLM
+ * @param {string} address - Raw address string
+ * @param {object} settings - Settings holding the endpoint, model and structured output mode
+ * @param {object} [options]
+ * @param {object[]} [options.examples] - Example library ({address, fields}); the most similar are sent
+ * @param {AbortSignal} [options.signal] - Cancels the requests
+ * @returns {Promise<object>} Parsed address components with model, latency, token usage and the
+ *   number of few-shot examples sent
+ */
+async function parseAddressWithLLM(address, settings, { examples: library = [], signal } = {}) {
+  log('debug', 'Sending address to local LLM', { address });
+  const startTime = performance.now();
+
+  // Show the model how similar addresses were corrected before
+  const examples = selectExamples(address, library, settings.fewShotCount);
+
+  const messages = [
+    { role: 'system', content: ADDRESS_SYSTEM_PROMPT },
+    ...buildExampleMessages(examples, settings),
+    { role: 'user', content: `Parse this address: "${address}"` }
+  ];
+
+  const completions = [await requestChatCompletion(settings, messages, signal)];
+  let reply = readAddressReply(completions[0].message);
+
+  // Give the model one chance to fix a reply that does not match the schema
+  if (reply.errors.length) {
+    log('warn', 'LLM reply failed schema validation, asking for a repair', { errors: reply.errors });
+    messages.push(...buildRepairMessages(completions[0].message, reply.errors));
+    completions.push(await requestChatCompletion(settings, messages, signal));
+    reply = readAddressReply(completions[1].message);
+  }
+
+  if (reply.errors.length) {
+    throw new Error(`LLM reply failed schema validation: ${reply.errors.join('; ')}`);
+  }
+
+  const parsedAddress = reply.value;
+  log('debug', 'Parsed address', parsedAddress);
+
+  // Ensure all required fields exist
+  const result = {
+    ...Object.fromEntries(ADDRESS_FIELDS.map(field => [field, parsedAddress[field] || ''])),
+    'Country': normalizeCountry(parsedAddress['Country']) || detectCountry(address)
+  };
+  // Replies without the schema enforced may spell the type differently or leave it out
+  result['Address Type'] = ADDRESS_TYPES.find(type => type.toLowerCase() === result['Address Type'].trim().toLowerCase()) ||
+    detectAddressType(result);
+
+  return {
+    data: result,
+    model: settings.llmModel,
+    latencyMs: Math.round(performance.now() - startTime),
+    usage: sumTokenUsage(completions.map(completion => completion.usage)),
+    repaired: completions.length > 1,
+    exampleCount: examples.length
+  };
+}
+
+/**
+ * Turn library examples into few-shot turns: the request, then the answer in
+ * the form the configured structured-output mode expects
+ * @param {object[]} examples - Examples ({address, fields})
+ * @param {object} settings - Extension settings
+ * @returns {object[]} Chat messages
+ */
+function buildExampleMessages(examples, settings) {
+  return examples.flatMap(({ address, fields }, index) => {
+    const request = { role: 'user', content: `Parse this address: "${address}"` };
+    // Examples saved before a field was added answer it as empty, except the type, which is derived
+    const answer = JSON.stringify({
+      ...Object.fromEntries(ADDRESS_FIELDS.map(field => [field, fields[field] || ''])),
+      'Address Type': fields['Address Type'] || detectAddressType(fields)
+    });
+
+    if (settings.structuredOutput === 'tools') {
+      const id = `example_${index + 1}`;
+      return [
+        request,
+        { role: 'assistant', content: null, tool_calls: [{ id, type: 'function', function: { name: ADDRESS_TOOL_NAME, arguments: answer } }] },
+        { role: 'tool', tool_call_id: id, content: 'Recorded' }
+      ];
+    }
+
+    return [request, { role: 'assistant', content: answer }];
+  });
+}
+
+/**
+ * Add up the token usage reported for each request
+ * @param {object[]} usages - OpenAI-style usage objects, possibly undefined
+ * @returns {object|null} Summed prompt/completion/total tokens, or null if the server reported none
+ */
+function sumTokenUsage(usages) {
+  const reported = usages.filter(Boolean);
+  if (!reported.length) return null;
+
+  return ['prompt_tokens', 'completion_tokens', 'total_tokens'].reduce((total, key) => ({
+    ...total,
+    [key]: reported.reduce((sum, usage) => sum + (usage[key] || 0), 0)
+  }), {});
+}
+
+/**
+ * Build the chat-completions request body for the configured structured-output mode
+ * @param {object} settings - Extension settings
+ * @param {object[]} messages - Chat messages
+ * @returns {object} Request body
+ */
+function buildChatRequest(settings, messages) {
+  const body = {
+    model: settings.llmModel,
+    messages,
+    temperature: Number(settings.temperature), // Lower temperature for more deterministic output
+    max_tokens: Number(settings.maxTokens)
+  };
+
+  if (settings.structuredOutput === 'json_schema') {
+    body.response_format = {
+      type: 'json_schema',
+      json_schema: { name: 'address', strict: true, schema: ADDRESS_JSON_SCHEMA }
+    };
+  } else if (settings.structuredOutput === 'tools') {
+    body.tools = [{
+      type: 'function',
+      function: {
+        name: ADDRESS_TOOL_NAME,
+        description: 'Record the components of the parsed address',
+        parameters: ADDRESS_JSON_SCHEMA
+      }
+    }];
+    body.tool_choice = { type: 'function', function: { name: ADDRESS_TOOL_NAME } };
+  }
+
+  return body;
+}
+
+/**
+ * Send a chat-completions request
+ * @param {object} settings - Extension settings
+ * @param {object[]} messages - Chat messages
+ * @param {AbortSignal} [signal] - Cancels the request
+ * @returns {Promise<{message: object, usage: object}>} Assistant message from the first choice and token usage
+ */
+async function requestChatCompletion(settings, messages, signal) {
+  const { response, data } = await fetchLLM(buildLLMUrl(settings.llmBaseUrl, '/v1/chat/completions'), {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${settings.llmApiKey}`
+    },
+    body: JSON.stringify(buildChatRequest(settings, messages))
+  }, settings, signal);
+
+  if (!response.ok) {
+    throw markRequestFailure(new Error(`API call failed: ${response.status} ${response.statusText}`));
+  }
+
+  log('debug', 'LLM response', data);
+
+  const message = data.choices && data.choices[0] && data.choices[0].message;
+  if (!message) {
+    throw new Error('Invalid response from LLM');
+  }
+
+  return { message, usage: data.usage };
+}
+
+/**
+ * Read the address object from an assistant message, either from the
+ * tool call arguments or from the message content
+ * @param {object} message - Assistant message
+ * @returns {{value: object|null, errors: string[]}} Parsed value and schema errors
+ */
+function readAddressReply(message) {
+  const toolCall = (message.tool_calls || []).find(call => call.function && call.function.name === ADDRESS_TOOL_NAME);
+  const args = toolCall && toolCall.function.arguments;
+  const text = typeof args === 'object' && args !== null ? JSON.stringify(args) : (args || message.content);
+
+  if (!text || !text.trim()) {
+    return { value: null, errors: ['Reply was empty'] };
+  }
+
+  try {
+    // Servers without schema support sometimes wrap the object in a markdown fence
+    const value = JSON.parse(text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, ''));
+    return { value, errors: validateAddressObject(value) };
+  } catch (error) {
+    return { value: null, errors: [`Reply is not valid JSON: ${error.message}`] };
+  }
+}
+
+/**
+ * Build the follow-up messages asking the model to repair an invalid reply
+ * @param {object} message - The invalid assistant message
+ * @param {string[]} errors - Schema validation errors
+ * @returns {object[]} Messages to append to the conversation
+ */
+function buildRepairMessages(message, errors) {
+  const fieldList = ADDRESS_FIELDS.map(field => `"${field}"`).join(', ');
+  const feedback = `Your reply did not match the required format: ${errors.join('; ')}. ` +
+    `Reply again with a single JSON object containing exactly these string fields: ${fieldList}.`;
+
+  const toolCall = (message.tool_calls || [])[0];
+  if (toolCall) {
+    return [message, { role: 'tool', tool_call_id: toolCall.id, content: feedback }];
+  }
+
+  return [
+    { role: 'assistant', content: message.content || '' },
+    { role: 'user', content: feedback }
+  ];
+}
+
+// Leading lines that are not part of the postal address
+const ATTENTION_LINE = /^(?:attn|attention)\b[\s.:-]*(.*)$/i;
+const CARE_OF_LINE = /^(?:c\/o|care of)\b/i;
+const DEPARTMENT_LINE = /\b(?:dept|department|division|mail\s*stop|m\/s)\b/i;
+const COMPANY_LINE = /\b(?:inc|llc|llp|ltd|lp|corp|corporation|co|company|gmbh|ag|plc|pty|group|holdings|enterprises|industries|associates|partners|university|college|hospital|school|bank)\b\.?/i;
+
+// Words that make a line without numbers a building or place name rather than a person's name
+const BUILDING_WORDS = ['HOUSE', 'BUILDING', 'TOWER', 'TOWERS', 'CENTRE', 'HALL', 'COTTAGE', 'FARM', 'MANSIONS', 'APARTMENTS', 'BLOCK', 'FLAT', 'WING', 'CAMPUS'];
+
+/**
+ * Split the recipient, company and attention lines from the top of an address.
+ * At least two lines are always left for the street and the city.
+ * @param {string} address - Raw address string
+ * @param {string} [contact] - Contact name from the order; matched literally, case-insensitively
+ * @returns {{fields: object, address: string}} Recipient fields and the remaining address
+ */
+function splitRecipientLines(address, contact = '') {
+  const fields = Object.fromEntries(RECIPIENT_FIELDS.map(field => [field, '']));
+  const lines = address.replace(/\r\n/g, '\n').split('\n').map(line => line.trim()).filter(Boolean);
+  // A single line is split at commas, e.g. "Attn: Jane Doe, 123 Main St, Austin TX 78701"
+  const multiline = lines.length > 1;
+  const segments = multiline ? lines : address.split(',').map(segment => segment.trim()).filter(Boolean);
+  const contactPattern = contact.trim() &&
+    new RegExp(`(?:^|[^\\p{L}])${escapeRegExp(contact.trim())}(?:$|[^\\p{L}])`, 'iu');
+
+  let index = 0;
+  for (; index < segments.length - 2; index++) {
+    const segment = segments[index];
+    const attention = segment.match(ATTENTION_LINE);
+    let field = null;
+    let value = segment;
+
+    if (attention) {
+      field = 'Attention';
+      value = attention[1];
+    } else if (CARE_OF_LINE.test(segment) || (DEPARTMENT_LINE.test(segment) && !/^\d/.test(segment))) {
+      field = 'Attention';
+    } else if (contactPattern && contactPattern.test(segment)) {
+      field = 'Recipient';
+    } else if (COMPANY_LINE.test(segment) && !/^\d/.test(segment)) {
+      field = 'Company';
+    } else if (multiline && looksLikeName(segment)) {
+      // Comma-separated parts are too often city or building names to guess
+      field = fields.Recipient ? 'Company' : 'Recipient';
+    }
+
+    if (!field || (field === 'Company' && fields.Company)) break;
+    fields[field] = fields[field] ? `${fields[field]}, ${value}` : value;
+  }
+
+  return { fields, address: segments.slice(index).join(multiline ? '\n' : ', ') };
+}
+
+/**
+ * Whether a line without numbers reads like a name rather than a street, building or country
+ * @param {string} line - Address line
+ * @returns {boolean} True for lines such as "Jane Doe" or "Acme Widgets"
+ */
+function looksLikeName(line) {
+  if (!/^\p{L}[\p{L}.'&\- ]*$/u.test(line)) return false;
+
+  const words = line.toUpperCase().replace(/\./g, '').split(/\s+/);
+  const placeWord = words.some(word =>
+    USPS_STREET_SUFFIXES[word] || USPS_SECONDARY_UNITS[word] || BUILDING_WORDS.includes(word));
+  const countryName = findCountryName(line);
+  return words.length <= 5 && !placeWord && !(countryName && countryName.match.trim().length === line.length);
+}
+
+// Lines that take the place of a street: "PO Box 123", "RR 2 Box 40" or "HC 68 Box 23A", "PSC 1234 Box 5678"
+const PO_BOX_LINE = /^(?:P\.?\s?O\.?\s?Box|Post\s+Office\s+Box|POB)\s*#?\s*\d[\w-]*/i;
+const RURAL_ROUTE_LINE = /^(?:R\.?\s?R\.?|Rural\s+Route|RFD|H\.?\s?C\.?|Highway\s+Contract(?:\s+Route)?)\s*#?\s*\d+,?\s+Box\s*#?\s*\d[\w-]*/i;
+const MILITARY_BOX_LINE = /^(?:PSC|CMR|Unit)\s+\d+,?\s+Box\s*#?\s*\d[\w-]*/i;
+
+// A unit written on its own before the street: "Unit 12, 450 Main St", "Flat 3, Rose House, 12 High Street"
+const LEADING_UNIT_PART = /^(?:apt\.?|apartment|suite|ste\.?|unit|bldg\.?|building|flat|floor|fl\.?|room|rm\.?)\s*#?\s*[a-z0-9-]+$/i;
+
+/**
+ * Classify a parsed address by its delivery line and locality
+ * @param {object} fields - Parsed address fields
+ * @returns {string} One of ADDRESS_TYPES
+ */
+function detectAddressType(fields) {
+  const line1 = (fields['Address 1'] || '').trim();
+  const line2 = (fields['Address 2'] || '').trim();
+
+  if (US_MILITARY_CITIES.includes((fields.City || '').trim().toUpperCase()) || US_MILITARY_STATES[fields.State]) {
+    return 'Military';
+  }
+  if (RURAL_ROUTE_LINE.test(line1)) return 'Rural Route';
+  if (PO_BOX_LINE.test(line1) || PO_BOX_LINE.test(line2)) return 'PO Box';
+  return 'Street';
+}
+
+/**
+ * Insert the comma missing between a box, route or ship line and the city,
+ * so the box number is not read as part of the city
+ * @param {string} address - Address without its state and postal code, e.g. "PO Box 123 Dallas"
+ * @returns {string} e.g. "PO Box 123, Dallas", or the address unchanged
+ */
+function separateDeliveryLine(address) {
+  if (address.includes(',')) return address;
+
+  // "USS Nimitz CVN 68 FPO": the military post office is the city
+  const militaryCity = address.match(new RegExp(`\\s+(${US_MILITARY_CITIES.join('|')})$`, 'i'));
+  if (militaryCity) {
+    return `${address.slice(0, militaryCity.index)}, ${militaryCity[1]}`;
+  }
+
+  const deliveryLine = [PO_BOX_LINE, RURAL_ROUTE_LINE, MILITARY_BOX_LINE]
+    .map(pattern => address.match(pattern))
+    .find(Boolean);
+  if (!deliveryLine || deliveryLine[0].length === address.length) return address;
+  return `${deliveryLine[0]}, ${address.slice(deliveryLine[0].length).trim()}`;
+}
+
+/**
+ * Insert the comma missing between a street line and the city that follows it,
+ * found by the street suffix and any unit after it, so the city is not read as part of Address 1
+ * @param {string} address - Address up to the state, e.g. "350 5th Ave New York"
+ * @returns {string} e.g. "350 5th Ave, New York", or the address without trailing commas
+ */
+function separateRunOnCity(address) {
+  const trimmed = address.replace(/[\s,]+$/, '');
+  const segmentStart = trimmed.lastIndexOf(',') + 1;
+  const tokens = trimmed.slice(segmentStart).trim().split(' ');
+  if (!/^\d/.test(tokens[0])) return trimmed;
+
+  const isSuffix = token => Boolean(token && USPS_STREET_SUFFIXES[token.replace(/\./g, '').toUpperCase()]);
+  // The first suffix after the street name, unless another follows it ("123 Lake Shore Dr")
+  let end = tokens.findIndex((token, index) => index >= 2 && isSuffix(token) && !isSuffix(tokens[index + 1])) + 1;
+  if (!end) return trimmed;
+
+  // A post-directional ("Main St NW") and a unit ("Ave Apt 4", "Ave #4") stay on the street line
+  if (/^[NSEW]{1,2}$/i.test(tokens[end] || '') && USPS_DIRECTIONALS[tokens[end].toUpperCase()]) end++;
+  if (/^#/.test(tokens[end] || '')) {
+    end++;
+  } else if (USPS_SECONDARY_UNITS[(tokens[end] || '').replace(/\./g, '').toUpperCase()]) {
+    end += 2;
+  }
+  if (end >= tokens.length) return trimmed;
+
+  return `${trimmed.slice(0, segmentStart)} ${tokens.slice(0, end).join(' ')}, ${tokens.slice(end).join(' ')}`.trim();
+}
+
+/**
+ * Parse address using regex patterns (fallback method)
+ * @param {string} address - Raw address string
+ * @param {string} [contact] - Contact name from the order, recognized as the recipient
+ * @returns {object} Parsed address components
+ */
+function parseAddressWithRegex(address, contact = '') {
+  // Default return object
+  const result = {
+    'Recipient': '',
+    'Company': '',
+    'Attention': '',
+    'Address 1': '',
+    'Address 2': '',
+    'City': '',
+    'State': '',
+    'ZIP': '',
+    'Country': 'USA', // Default to USA
+    'Address Type': 'Street'
+  };
+
+  try {
+    // Take the name, company and attention lines off the top so they do not end up in Address 1
+    const recipientLines = splitRecipientLines(address, contact);
+    Object.assign(result, recipientLines.fields);
+    address = recipientLines.address;
+
+    // Clean the address string
+    address = address.trim()
+      .replace(/\r\n/g, '\n')
+      .replace(/\n+/g, ', ')
+      .replace(/\s+/g, ' ')
+      .replace(/,,/g, ',');
+
+    log('debug', 'Cleaned address for regex parsing', { address });
+
+    // Detect the country and drop its name so it is not mistaken for the city
+    const countryName = findCountryName(address);
+    result.Country = detectCountry(address);
+    if (countryName) {
+      address = address.slice(0, address.length - countryName.match.length).trim();
+    }
+    const rule = COUNTRY_RULES[result.Country];
+
+    // Extract the postal code in the country's format (the last one wins over house numbers)
+    const zipMatch = findLastMatch(address, rule.postalPattern);
+    if (zipMatch) {
+      result.ZIP = rule.formatPostal ? rule.formatPostal(zipMatch[1]) : zipMatch[1];
+
+      if (rule.postalBeforeCity) {
+        // "Musterstraße 12, 10115 Berlin": the city follows the postal code
+        const afterZip = address.slice(zipMatch.index + zipMatch[0].length).match(/^\s*([^,]+)/);
+        result.City = afterZip ? afterZip[1].trim() : '';
+        address = address.slice(0, zipMatch.index) + address.slice(zipMatch.index + zipMatch[0].length + (afterZip ? afterZip[0].length : 0));
+      } else {
+        // Remove the ZIP from the address to simplify further parsing
+        address = address.slice(0, zipMatch.index) + address.slice(zipMatch.index + zipMatch[0].length);
+      }
+    }
+
+    // Extract the state/province code, or full name for countries that list them
+    const regionPattern = getRegionPattern(rule);
+    // Lowercase codes such as "il" are also words ("in", "or", "me"), so they only count at the end, where the postal code was
+    const stateMatch = regionPattern &&
+      (findLastMatch(address, regionPattern) || address.match(new RegExp(`${regionPattern.source}\\s*$`, 'i')));
+    if (stateMatch) {
+      result.State = toRegionCode(rule, stateMatch[1]);
+      // "350 5th Ave New York NY" has no comma before the city; split it off while the state still marks where it ends
+      const beforeState = address.slice(0, stateMatch.index);
+      // Remove the state from the address
+      address = (result.City ? beforeState : separateRunOnCity(beforeState)) + ',' + address.slice(stateMatch.index + stateMatch[0].length);
+    }
+
+    // Clean up commas
+    address = address.replace(/,\s*,/g, ',').replace(/,\s*$/g, '');
+
+    // "PO Box 123 Dallas" has no comma between the box and the city
+    address = separateDeliveryLine(address);
+
+    // Extract city (assume it's the last part before state/zip)
+    const parts = address.split(',');
+    const cityFound = Boolean(result.City);
+    if (cityFound || parts.length > 1) {
+      if (!cityFound) {
+        result.City = parts[parts.length - 1].trim();
+      }
+      
+      // Remaining parts are Address1 and potentially Address2
+      const streetParts = (cityFound ? parts : parts.slice(0, parts.length - 1)).join(',').trim();
+      
+      // Enhanced address 2 detection
+      // Common patterns for apartment/suite identifiers
+      const addr2Patterns = [
+        // Match patterns like "Apt 101", "Suite B", "Unit 5", "Building C", etc.
+        /\b(apt\.?|apartment|suite|ste\.?|unit|bldg\.?|building|floor|fl\.?|room|rm\.?)\s+[a-z0-9-]+\b/i,
+        // Floors written number first, e.g. "20th Floor"
+        /\b\d+(?:st|nd|rd|th)\s+(?:floor|fl\b\.?)/i,
+        // A PO Box written after the street, e.g. "123 Main St PO Box 5"
+        /\bP\.?\s?O\.?\s?Box\s*#?\s*\d[\w-]*/i,
+        // Match patterns like "#101", "#B", etc.
+        /\s+#\s*[a-z0-9-]+\b/i,
+        // Match patterns with abbreviations or specific formats
+        /\b(unit|apt\.?|suite|ste\.?)\s*#?\s*[a-z0-9-]+\b/i
+      ];
+      
+      let addr2Match = null;
+      let matchIndex = -1;
+      
+      // Try to find Address 2 information
+      for (const pattern of addr2Patterns) {
+        const match = streetParts.match(pattern);
+        if (match && match.index > 0) {
+          if (matchIndex === -1 || match.index < matchIndex) {
+            addr2Match = match;
+            matchIndex = match.index;
+          }
+        }
+      }
+      
+      // Also check for comma-separated apartment info like "123 Main St, Apt 101"
+      const commaSeparatedMatch = streetParts.match(/,\s*(.*)/);
+
+      // Or a unit before the street, up to the part starting with the house number
+      const streetSegments = streetParts.split(',').map(part => part.trim());
+      const streetStart = streetSegments.findIndex(part => /^\d/.test(part));
+
+      if (streetStart > 0 && LEADING_UNIT_PART.test(streetSegments[0])) {
+        result['Address 1'] = streetSegments.slice(streetStart).join(', ');
+        result['Address 2'] = streetSegments.slice(0, streetStart).join(', ');
+      } else if (addr2Match && matchIndex > 0) {
+        // Found in-line address 2 info
+        // The comma before a unit on its own part, e.g. "123 Main St, Suite 100", is not part of Address 1
+        result['Address 1'] = streetParts.substring(0, matchIndex).replace(/[\s,]+$/, '');
+        result['Address 2'] = streetParts.substring(matchIndex).trim();
+      } else if (commaSeparatedMatch && commaSeparatedMatch[1]) {
+        // Found comma-separated address 2 info
+        const potentialAddr2 = commaSeparatedMatch[1].trim();
+        
+        // Check if this looks like an Address 2 component
+        const looksLikeAddr2 = /^(apt|suite|ste|unit|bldg|#|apartment|building|floor|p\.?\s?o\.?\s?box)/i.test(potentialAddr2);
+        
+        if (looksLikeAddr2) {
+          result['Address 1'] = streetParts.substring(0, commaSeparatedMatch.index).trim();
+          result['Address 2'] = potentialAddr2;
+        } else {
+          // If it doesn't look like Address 2, keep it all as Address 1
+          result['Address 1'] = streetParts;
+        }
+      } else {
+        // No Address 2 found
+        result['Address 1'] = streetParts;
+      }
+    } else {
+      // If no commas, assume it's all Address 1
+      result['Address 1'] = address.trim();
+    }
+
+    result['Address Type'] = detectAddressType(result);
+    if (result['Address Type'] === 'Military' || result['Address Type'] === 'Rural Route') {
+      // "RR 1, Box 15" is written as one line, "RR 1 Box 15"
+      result['Address 1'] = result['Address 1'].replace(/^([^,]*\d),\s*(Box\b)/i, '$1 $2');
+    }
+    return result;
+  } catch (error) {
+    log('error', 'Error in regex parsing', error);
+    return result;
+  }
+}
@@ -0,0 +1,198 @@
+/**
+ * Tests for the LLM request and reply handling in parser_core.js, run with
+ * `npm test` against the evaluation suite's stub chat-completions server
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { loadParserCore, readConstant } = require('./cli/core_context');
+const { startStubServer } = require('./eval/stub_server');
+
+const ADDRESS = '123 Main St, Austin, TX 78701';
+
+const FIELDS = {
+  Recipient: '',
+  Company: '',
+  Attention: '',
+  'Address 1': '123 Main St',
+  'Address 2': '',
+  City: 'Austin',
+  State: 'TX',
+  ZIP: '78701',
+  Country: 'USA',
+  'Address Type': 'Street'
+};
+
+const core = loadParserCore();
+
+/**
+ * Parse ADDRESS with the stub server answering with the given replies
+ * @param {*} replies - Reply for ADDRESS: fields, raw text, or a list of these
+ * @param {object} [settings] - Settings overriding the defaults
+ * @returns {Promise<{result: object, requests: object[]}>} Parse result and the chat requests received
+ */
+async function parseWithReplies(replies, settings = {}) {
+  const stub = await startStubServer({ [ADDRESS]: replies }, readConstant(core, 'ADDRESS_FIELDS'));
+  try {
+    const result = await core.parseAddressWithLLM(ADDRESS, {
+      ...readConstant(core, 'DEFAULT_SETTINGS'),
+      llmBaseUrl: stub.url,
+      llmMaxRetries: 0,
+      ...settings
+    });
+    return { result, requests: stub.requests };
+  } finally {
+    await stub.close();
+  }
+}
+
+test('json_schema mode sends the address schema as response_format', async () => {
+  const { result, requests } = await parseWithReplies(FIELDS, { structuredOutput: 'json_schema' });
+
+  assert.strictEqual(requests.length, 1);
+  const format = requests[0].response_format;
+  assert.strictEqual(format.type, 'json_schema');
+  assert.strictEqual(format.json_schema.strict, true);
+  assert.deepStrictEqual(Object.keys(format.json_schema.schema.properties), [...readConstant(core, 'ADDRESS_FIELDS')]);
+  assert.strictEqual(requests[0].tools, undefined);
+  assert.deepStrictEqual({ ...result.data }, FIELDS);
+  assert.strictEqual(result.repaired, false);
+});
+
+test('tools mode forces the record_address tool and reads its arguments', async () => {
+  const { result, requests } = await parseWithReplies(FIELDS, { structuredOutput: 'tools' });
+
+  const request = requests[0];
+  assert.strictEqual(request.tools[0].function.name, 'record_address');
+  assert.deepStrictEqual(request.tool_choice, { type: 'function', function: { name: 'record_address' } });
+  assert.strictEqual(request.response_format, undefined);
+  assert.deepStrictEqual({ ...result.data }, FIELDS);
+});
+
+test('none mode sends neither a schema nor tools', async () => {
+  const { requests } = await parseWithReplies(FIELDS, { structuredOutput: 'none' });
+
+  assert.strictEqual(requests[0].response_format, undefined);
+  assert.strictEqual(requests[0].tools, undefined);
+});
+
+test('a reply wrapped in a markdown fence is read without a repair', async () => {
+  const { result, requests } = await parseWithReplies(`\`\`\`json\n${JSON.stringify(FIELDS)}\n\`\`\``, { structuredOutput: 'none' });
+
+  assert.strictEqual(requests.length, 1);
+  assert.strictEqual(result.repaired, false);
+  assert.strictEqual(result.data.City, 'Austin');
+});
+
+test('a prose reply gets a repair prompt, and the repaired reply is used', async () => {
+  const { result, requests } = await parseWithReplies([
+    `Sure! The city is Austin and the state is TX: ${JSON.stringify(FIELDS)}`,
+    FIELDS
+  ], { structuredOutput: 'none' });
+
+  assert.strictEqual(requests.length, 2);
+  const [assistant, feedback] = requests[1].messages.slice(-2);
+  assert.strictEqual(assistant.role, 'assistant');
+  assert.match(assistant.content, /^Sure!/);
+  assert.strictEqual(feedback.role, 'user');
+  assert.match(feedback.content, /not valid JSON/);
+  assert.strictEqual(result.repaired, true);
+  assert.strictEqual(result.data.City, 'Austin');
+});
+
+test('a reply failing the schema gets one repair listing the problems', async () => {
+  const { City, ...withoutCity } = FIELDS;
+  const { result, requests } = await parseWithReplies([{ ...withoutCity, Town: City }, FIELDS]);
+
+  assert.strictEqual(requests.length, 2);
+  const feedback = requests[1].messages[requests[1].messages.length - 1];
+  assert.match(feedback.content, /City/);
+  assert.match(feedback.content, /Town/);
+  assert.strictEqual(result.repaired, true);
+  assert.deepStrictEqual({ ...result.data }, FIELDS);
+});
+
+test('in tools mode the repair answers the tool call', async () => {
+  const { State, ...withoutState } = FIELDS;
+  const { result, requests } = await parseWithReplies([withoutState, FIELDS], { structuredOutput: 'tools' });
+
+  const [call, feedback] = requests[1].messages.slice(-2);
+  assert.strictEqual(call.tool_calls[0].function.name, 'record_address');
+  assert.strictEqual(feedback.role, 'tool');
+  assert.strictEqual(feedback.tool_call_id, call.tool_calls[0].id);
+  assert.strictEqual(result.repaired, true);
+  assert.strictEqual(result.data.State, 'TX');
+});
+
+test('a reply still invalid after the repair fails the parse', async () => {
+  await assert.rejects(parseWithReplies(['not json', 'still not json'], { structuredOutput: 'none' }),
+    /LLM reply failed schema validation: Reply is not valid JSON/);
+});
+
+test('a reply failing the schema does not count toward the circuit breaker', async () => {
+  const stub = await startStubServer({ [ADDRESS]: ['not json', 'still not json'] }, readConstant(core, 'ADDRESS_FIELDS'));
+  let failures = 0;
+  try {
+    const result = await core.runParsePipeline(ADDRESS, {
+      ...readConstant(core, 'DEFAULT_SETTINGS'),
+      llmBaseUrl: stub.url,
+      structuredOutput: 'none'
+    }, { hooks: { recordFailure: async () => { failures++; } } });
+
+    assert.strictEqual(result.method, 'regex');
+  } finally {
+    await stub.close();
+  }
+  assert.strictEqual(failures, 0);
+});
+
+test('a server that cannot be reached counts toward the circuit breaker', async () => {
+  const stub = await startStubServer({}, readConstant(core, 'ADDRESS_FIELDS'));
+  await stub.close();
+  let failures = 0;
+
+  const result = await core.runParsePipeline(ADDRESS, {
+    ...readConstant(core, 'DEFAULT_SETTINGS'),
+    llmBaseUrl: stub.url,
+    llmMaxRetries: 0
+  }, { hooks: { recordFailure: async () => { failures++; } } });
+
+  assert.strictEqual(result.method, 'regex');
+  assert.strictEqual(failures, 1);
+});
+
+test('a reply body that stalls past the timeout counts toward the circuit breaker', async () => {
+  // Sends the headers and the start of the body, then never finishes it
+  const server = http.createServer((request, response) => {
+    response.writeHead(200, { 'Content-Type': 'application/json' });
+    response.write('{"choices": [');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  let failures = 0;
+  try {
+    const result = await core.runParsePipeline(ADDRESS, {
+      ...readConstant(core, 'DEFAULT_SETTINGS'),
+      llmBaseUrl: `http://127.0.0.1:${server.address().port}`,
+      llmTimeoutSeconds: 0.2,
+      llmMaxRetries: 0
+    }, { hooks: { recordFailure: async () => { failures++; } } });
+
+    assert.strictEqual(result.method, 'regex');
+  } finally {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+  assert.strictEqual(failures, 1);
+});
+
+test('waiting for a retry removes its cancel listener when the wait is over', async () => {
+  const listeners = new Set();
+  const signal = {
+    aborted: false,
+    addEventListener: (type, listener) => listeners.add(listener),
+    removeEventListener: (type, listener) => listeners.delete(listener)
+  };
+
+  await core.waitForRetry(1, signal);
+  assert.strictEqual(listeners.size, 0);
+});
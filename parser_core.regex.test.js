@@ -0,0 +1,151 @@
+/**
+ * Table-driven tests for the regex parser in parser_core.js, run with `npm test`.
+ * Each case lists only the fields it checks; the full samples with expected
+ * values for every field are in eval/golden.json.
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadParserCore } = require('./cli/core_context');
+
+const core = loadParserCore();
+
+const CASES = [
+  {
+    name: 'no commas: the city runs on from the street',
+    address: '350 5th Ave New York NY 10118',
+    expected: { 'Address 1': '350 5th Ave', 'Address 2': '', City: 'New York', State: 'NY', ZIP: '10118' }
+  },
+  {
+    name: 'comma only before the state',
+    address: '350 5th Ave New York, NY 10118',
+    expected: { 'Address 1': '350 5th Ave', City: 'New York', State: 'NY' }
+  },
+  {
+    name: 'run-on city after a street name holding a suffix word',
+    address: '123 Lake Shore Dr Chicago IL 60601',
+    expected: { 'Address 1': '123 Lake Shore Dr', City: 'Chicago' }
+  },
+  {
+    name: 'run-on city after a post-directional',
+    address: '1600 Pennsylvania Ave NW Washington DC 20500',
+    expected: { 'Address 1': '1600 Pennsylvania Ave NW', City: 'Washington', State: 'DC' }
+  },
+  {
+    name: 'run-on city holding a suffix word',
+    address: '350 5th Ave Salt Lake City UT 84101',
+    expected: { 'Address 1': '350 5th Ave', City: 'Salt Lake City', State: 'UT' }
+  },
+  {
+    name: 'run-on city after a unit',
+    address: '123 Main St Apt 4 Springfield IL 62701',
+    expected: { 'Address 1': '123 Main St', 'Address 2': 'Apt 4', City: 'Springfield' }
+  },
+  {
+    name: 'city with a suffix word set off by commas',
+    address: '123 Main St, Salt Lake City, UT 84101',
+    expected: { 'Address 1': '123 Main St', City: 'Salt Lake City', State: 'UT' }
+  },
+  {
+    name: 'lowercase state code before the ZIP',
+    address: '123 north main street apartment 4, springfield, il 62701',
+    expected: { 'Address 1': '123 north main street', 'Address 2': 'apartment 4', City: 'springfield', State: 'IL', ZIP: '62701' }
+  },
+  {
+    name: 'lowercase state code that is also a word',
+    address: '12 Oak St, Portland, or 97201',
+    expected: { City: 'Portland', State: 'OR' }
+  },
+  {
+    name: 'ZIP+4 without its hyphen',
+    address: '9 East 1st Street, New York, NY 100161234',
+    expected: { City: 'New York', State: 'NY', ZIP: '100161234' }
+  },
+  {
+    name: 'lowercase address',
+    address: '42 wallaby way, springfield, il 62701',
+    expected: { 'Address 1': '42 wallaby way', City: 'springfield', State: 'IL', ZIP: '62701', Country: 'USA' }
+  },
+  {
+    name: 'floor written number first',
+    address: '200 Park Ave, 20th Floor, New York, NY 10166',
+    expected: { 'Address 1': '200 Park Ave', 'Address 2': '20th Floor', City: 'New York' }
+  },
+  {
+    name: 'building before the street',
+    address: 'Building 5, 1 Research Way\nPrinceton, NJ 08540',
+    expected: { 'Address 1': '1 Research Way', 'Address 2': 'Building 5', City: 'Princeton', ZIP: '08540' }
+  },
+  {
+    name: 'PO Box in place of the street',
+    address: 'PO Box 123, Springfield, IL 62701',
+    expected: { 'Address 1': 'PO Box 123', 'Address 2': '', City: 'Springfield', State: 'IL', ZIP: '62701', 'Address Type': 'PO Box' }
+  },
+  {
+    name: 'military PSC box with APO as the city',
+    address: 'PSC 1234 Box 5678, APO AE 09204',
+    expected: { 'Address 1': 'PSC 1234 Box 5678', City: 'APO', State: 'AE', ZIP: '09204', Country: 'USA', 'Address Type': 'Military' }
+  },
+  {
+    name: 'rural route and box',
+    address: 'RR 2 Box 15, Town, TX 12345',
+    expected: { 'Address 1': 'RR 2 Box 15', City: 'Town', State: 'TX', ZIP: '12345', 'Address Type': 'Rural Route' }
+  },
+  {
+    name: 'rural route with an unknown state code: "ST" is read as the city',
+    address: 'RR 2 Box 15, Town, ST 12345',
+    expected: { 'Address 1': 'RR 2 Box 15, Town', City: 'ST', State: '', ZIP: '12345', 'Address Type': 'Rural Route' }
+  },
+  {
+    name: 'Canada: province code and postal code',
+    address: '290 Bremner Blvd, Toronto, ON M5V 3L9, Canada',
+    expected: { 'Address 1': '290 Bremner Blvd', City: 'Toronto', State: 'ON', ZIP: 'M5V 3L9', Country: 'CAN' }
+  },
+  {
+    name: 'Canada: province name',
+    address: '1 Rue Sainte-Catherine, Montreal, Quebec H2X 1Z4',
+    expected: { City: 'Montreal', State: 'QC', ZIP: 'H2X 1Z4', Country: 'CAN' }
+  },
+  {
+    name: 'Canada: unit before the street',
+    address: 'Unit 12, 450 Main St\nVancouver BC V6A 2T4',
+    expected: { 'Address 1': '450 Main St', 'Address 2': 'Unit 12', City: 'Vancouver', State: 'BC', ZIP: 'V6A 2T4', Country: 'CAN' }
+  },
+  {
+    name: 'UK: postcode after the town',
+    address: '10 Downing Street\nLondon SW1A 2AA\nUnited Kingdom',
+    expected: { 'Address 1': '10 Downing Street', City: 'London', State: '', ZIP: 'SW1A 2AA', Country: 'GBR' }
+  },
+  {
+    name: 'UK: flat and house name before the street',
+    address: 'Flat 3, Rose House\n12 High Street\nOxford OX1 4AP',
+    expected: { 'Address 1': '12 High Street', 'Address 2': 'Flat 3, Rose House', City: 'Oxford', ZIP: 'OX1 4AP', Country: 'GBR' }
+  },
+  {
+    name: 'Germany: postal code before the city',
+    address: 'Musterstraße 12, 10115 Berlin, Germany',
+    expected: { 'Address 1': 'Musterstraße 12', City: 'Berlin', ZIP: '10115', Country: 'DEU' }
+  },
+  {
+    name: 'Germany: multiline, named in German',
+    address: 'Hauptstr. 5\n80331 München\nDeutschland',
+    expected: { 'Address 1': 'Hauptstr. 5', City: 'München', ZIP: '80331', Country: 'DEU' }
+  },
+  {
+    name: 'Australia: state and postcode',
+    address: '1 Martin Place, Sydney NSW 2000, Australia',
+    expected: { 'Address 1': '1 Martin Place', City: 'Sydney', State: 'NSW', ZIP: '2000', Country: 'AUS' }
+  },
+  {
+    name: 'Australia: unit before the street, country not named',
+    address: 'Unit 4, 22 George St\nBrisbane QLD 4000',
+    expected: { 'Address 1': '22 George St', 'Address 2': 'Unit 4', City: 'Brisbane', State: 'QLD', ZIP: '4000', Country: 'AUS' }
+  }
+];
+
+for (const { name, address, expected } of CASES) {
+  test(name, () => {
+    const result = core.parseAddressWithRegex(address);
+    const actual = Object.fromEntries(Object.keys(expected).map(field => [field, result[field]]));
+    assert.deepStrictEqual(actual, expected);
+  });
+}
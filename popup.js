@@ -5,14 +5,70 @@
  * sending it for parsing with a local LLM, and writing the structured result back to clipboard.
  */
 document.addEventListener('DOMContentLoaded', function() {
+    startLogger('popup');
+    
     const statusDiv = document.getElementById('status');
     const parseBtn = document.getElementById('parseClipboardBtn');
     const extractBtn = document.getElementById('extractPageBtn');
+    const reviewForm = document.getElementById('reviewForm');
+    const reviewSections = document.getElementById('reviewSections');
+    const reviewWarnings = document.getElementById('reviewWarnings');
+    const outputFormatSelect = document.getElementById('outputFormat');
+    const fillFormBtn = document.getElementById('fillFormBtn');
+    const reparseBtn = document.getElementById('reparseBtn');
+    const cancelBtn = document.getElementById('cancelBtn');
     let llmAvailable = false;
+    // Id of the parse in progress, so the background can cancel it
+    let activeRequestId = null;
+    // Parse result awaiting confirmation in the review form
+    let pendingReview = null;
+    // Input of the last parse, so it can be repeated without the cache
+    let lastParse = null;
+    
+    // Fields below this confidence are highlighted for review
+    const LOW_CONFIDENCE_THRESHOLD = 0.7;
+    // Fields that are commonly blank and not highlighted when empty
+    const OPTIONAL_FIELDS = [...RECIPIENT_FIELDS, 'Address 2'];
+    // Input fields holding a raw address, e.g. "Raw Shipping Address"; captures the role
+    const RAW_ADDRESS_KEY = /^Raw (.+) Address$/;
+    
+    // Offer the output formats, preselecting the one the user chose last
+    outputFormatSelect.replaceChildren(...Object.entries(OUTPUT_FORMATS).map(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      return option;
+    }));
     
-    // Check if the local LLM is available
+    // Show the configured endpoint and check if the local LLM is available
+    getSettings().then(settings => {
+      document.getElementById('llmEndpoint').textContent = settings.llmBaseUrl;
+      outputFormatSelect.value = settings.outputFormat;
+    });
     checkLLMStatus();
     
+    reviewForm.addEventListener('submit', handleReviewSubmit);
+    fillFormBtn.addEventListener('click', handleFillForm);
+    cancelBtn.addEventListener('click', handleCancel);
+    reparseBtn.addEventListener('click', () => {
+      processAddressData(lastParse.addressData, { ...lastParse.options, bypassCache: true });
+    });
+    outputFormatSelect.addEventListener('change', () => {
+      saveSettings({ outputFormat: outputFormatSelect.value });
+    });
+    
+    document.getElementById('openSettingsLink').addEventListener('click', () => {
+      chrome.runtime.openOptionsPage();
+    });
+    
+    document.getElementById('openBatchLink').addEventListener('click', () => {
+      chrome.tabs.create({ url: chrome.runtime.getURL('batch.html') });
+    });
+    
+    document.getElementById('openHistoryLink').addEventListener('click', () => {
+      chrome.tabs.create({ url: chrome.runtime.getURL('history.html') });
+    });
+    
     // Function to check LLM status
     function checkLLMStatus() {
       statusDiv.textContent = 'Checking local LLM status...';
@@ -20,7 +76,9 @@ document.addEventListener('DOMContentLoaded', function() {
       
       chrome.runtime.sendMessage({ type: 'checkLLMStatus' }, response => {
         llmAvailable = response && response.available;
-        if (llmAvailable) {
+        if (response && response.circuitOpen) {
+          showCircuitOpenStatus(response.circuitRetryAt);
+        } else if (llmAvailable) {
           statusDiv.textContent = 'Ready to parse with local LLM';
           statusDiv.style.color = 'green';
         } else {
@@ -30,6 +88,37 @@ document.addEventListener('DOMContentLoaded', function() {
       });
     }
     
+    /**
+     * Explains that the LLM is paused after repeated failures, with a link to try it again now
+     * @param {number} retryAt - When the LLM will be tried again (ms since epoch)
+     */
+    function showCircuitOpenStatus(retryAt) {
+      const resetLink = document.createElement('a');
+      resetLink.href = '#';
+      resetLink.textContent = 'Try the LLM again';
+      resetLink.addEventListener('click', async event => {
+        event.preventDefault();
+        await chrome.runtime.sendMessage({ type: 'resetCircuit' });
+        checkLLMStatus();
+      });
+      
+      statusDiv.replaceChildren(
+        `Local LLM failed repeatedly, so fallback parsing is used until ${new Date(retryAt).toLocaleTimeString()}. `,
+        resetLink
+      );
+      statusDiv.style.color = 'orange';
+    }
+    
+    /**
+     * Asks the background to stop the parse in progress
+     */
+    async function handleCancel() {
+      if (!activeRequestId) return;
+      
+      cancelBtn.disabled = true;
+      await chrome.runtime.sendMessage({ type: 'cancelParse', requestId: activeRequestId });
+    }
+    
     /**
      * Writes text to clipboard, with fallback methods if direct API fails
      * @param {string} text - Text to write to clipboard
@@ -41,7 +130,7 @@ document.addEventListener('DOMContentLoaded', function() {
         await navigator.clipboard.writeText(text);
         return true;
       } catch (err) {
-        console.log('Direct clipboard write failed, trying fallback method:', err);
+        log('warn', 'Direct clipboard write failed, trying fallback method', err);
         
         // Create a temporary textarea element
         const textArea = document.createElement('textarea');
@@ -64,12 +153,12 @@ document.addEventListener('DOMContentLoaded', function() {
           // Execute copy command
           success = document.execCommand('copy');
           if (success) {
-            console.log('Fallback clipboard copy succeeded');
+            log('info', 'Fallback clipboard copy succeeded');
           } else {
-            console.error('Fallback clipboard copy failed');
+            log('error', 'Fallback clipboard copy failed');
           }
         } catch (err) {
-          console.error('Fallback clipboard copy error:', err);
+          log('error', 'Fallback clipboard copy error', err);
         }
         
         // Clean up
@@ -79,96 +168,424 @@ document.addEventListener('DOMContentLoaded', function() {
     }
     
     /**
-     * Processes address data through local LLM and updates result
-     * @param {Object} addressData - The address data to process
+     * Describes how a result was produced, e.g. "local LLM (1.2 s, 312 tokens)", "local LLM (cached)"
+     * or "LLM ensemble (2 of 2 models, 3.4 s)"
+     * @param {Object} response - Response from the background parseAddress handler
+     * @returns {string} Description for status messages
      */
-    async function processAddressData(addressData) {
-      statusDiv.textContent = 'Processing...';
-      statusDiv.style.color = 'blue';
+    function describeParseMethod(response) {
+      if (response.method !== 'llm') {
+        return 'fallback method';
+      }
+      const label = response.ensemble ? 'LLM ensemble' : 'local LLM';
+      if (response.cacheHit) {
+        return `${label} (cached)`;
+      }
       
-      try {
-        if (!addressData["Raw Shipping Address"]) {
-          throw new Error('No "Raw Shipping Address" field found in data');
-        }
-
-        // Clean the address string
-        let address = addressData["Raw Shipping Address"]
-          .replace(/\battention\s*-\s*\b/i, '')
-          .trim();
+      const stats = [`${(response.llm.latencyMs / 1000).toFixed(1)} s`];
+      if (response.ensemble) {
+        // The regex parser is listed as a source without a model
+        const models = response.ensemble.sources.filter(source => source.model);
+        stats.unshift(`${models.filter(source => !source.error).length} of ${models.length} models`);
+      }
+      if (response.llm.usage) {
+        stats.push(`${response.llm.usage.total_tokens} tokens`);
+      }
+      return `${label} (${stats.join(', ')})`;
+    }
+    
+    /**
+     * Describes how each address was produced, labelled by role when there are several
+     * @param {Object[]} parsedAddresses - Parsed addresses from processAddressData
+     * @returns {string} Description for status messages
+     */
+    function describeParsedAddresses(parsedAddresses) {
+      if (parsedAddresses.length === 1) {
+        return describeParseMethod(parsedAddresses[0].response);
+      }
+      return parsedAddresses.map(({ role, response }) => `${role}: ${describeParseMethod(response)}`).join('; ');
+    }
+    
+    /**
+     * Writes the formatted result to the clipboard and reports the outcome
+     * @param {string} formattedResult - Text to copy
+     * @param {Object[]} parsedAddresses - Parsed addresses from processAddressData
+     */
+    async function copyResult(formattedResult, parsedAddresses) {
+      // Write back to clipboard using our enhanced method
+      const clipboardWriteSuccess = await writeToClipboard(formattedResult);
+    
+      if (clipboardWriteSuccess) {
+        statusDiv.textContent = `✓ Parsed with ${describeParsedAddresses(parsedAddresses)} and copied to clipboard`;
+        statusDiv.style.color = parsedAddresses.every(({ response }) => response.usedLLM) ? 'green' : 'orange';
+      } else {
+        // If both clipboard methods failed, show the text for manual copying
+        statusDiv.innerHTML = 'Could not automatically copy to clipboard. Please copy this text manually:<br>';
+      
+        // Create a pre element with the formatted text
+        const pre = document.createElement('pre');
+        pre.style.marginTop = '10px';
+        pre.style.padding = '8px';
+        pre.style.background = '#f5f5f5';
+        pre.style.borderRadius = '4px';
+        pre.style.overflow = 'auto';
+        pre.style.maxHeight = '150px';
+        pre.style.fontSize = '11px';
+        pre.textContent = formattedResult;
+      
+        statusDiv.appendChild(pre);
+        statusDiv.style.color = 'red';
+      }
+    }
+    
+    /**
+     * Builds the review section for one address: the raw text next to its editable fields
+     * @param {Object} parsedAddress - Role, field prefix, raw text and parse response
+     * @param {boolean} showRole - Whether to head the section with the address role
+     * @returns {HTMLElement} Section element
+     */
+    function buildReviewSection({ role, prefix, raw, response }, showRole) {
+      const fieldLabels = (COUNTRY_RULES[response.data.Country] || {}).fieldLabels || {};
+      const section = document.createElement('div');
+      section.className = 'review-layout';
+      
+      const rawColumn = document.createElement('div');
+      const rawHeading = document.createElement('div');
+      rawHeading.className = 'review-heading';
+      rawHeading.textContent = showRole ? `Raw ${role.toLowerCase()} address` : 'Raw address';
+      const rawPre = document.createElement('pre');
+      rawPre.className = 'raw-address';
+      rawPre.textContent = raw;
+      rawColumn.append(rawHeading, rawPre);
+      
+      const fieldsColumn = document.createElement('div');
+      const fieldsHeading = document.createElement('div');
+      fieldsHeading.className = 'review-heading';
+      fieldsHeading.textContent = showRole ? `Parsed ${role.toLowerCase()} fields` : 'Parsed fields';
+      fieldsColumn.appendChild(fieldsHeading);
+      
+      // With several addresses the user picks which ones to copy
+      if (showRole) {
+        const selectLabel = document.createElement('label');
+        selectLabel.className = 'copy-toggle';
+        const selectInput = document.createElement('input');
+        selectInput.type = 'checkbox';
+        selectInput.name = `copy ${prefix}`;
+        selectInput.checked = true;
+        selectLabel.append(selectInput, ' Copy this address');
+        fieldsColumn.appendChild(selectLabel);
+      }
+      
+      ADDRESS_FIELDS.forEach(field => {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'review-field';
+        
+        const label = document.createElement('label');
+        label.textContent = prefix + (fieldLabels[field] || field);
+        
+        const input = document.createElement('input');
+        input.name = prefix + field;
+        input.value = response.data[field];
+        input.title = response.validation.fields[field].message || `Confidence ${Math.round(response.confidence[field] * 100)}%`;
+        input.classList.toggle('empty', !input.value && !OPTIONAL_FIELDS.includes(field));
+        input.classList.toggle('low-confidence', response.confidence[field] < LOW_CONFIDENCE_THRESHOLD);
         
-        // If contact info is present, remove it from the address
-        if (addressData["Contact"]) {
-          address = address.replace(new RegExp(addressData["Contact"], 'i'), '').trim();
+        label.appendChild(input);
+        wrapper.appendChild(label);
+        fieldsColumn.appendChild(wrapper);
+      });
+      
+      section.append(rawColumn, fieldsColumn);
+      return section;
+    }
+    
+    /**
+     * Compares the billing and shipping addresses when both were parsed
+     * @param {Object[]} addresses - Objects with role and data (canonical field names)
+     * @returns {string[]|null} Fields that differ, or null when there is nothing to compare
+     */
+    function compareBillingToShipping(addresses) {
+      const shipping = addresses.find(({ role }) => role === 'Shipping');
+      const billing = addresses.find(({ role }) => role === 'Billing');
+      if (!shipping || !billing) return null;
+      
+      return findDisagreements(shipping.data, billing.data).map(({ field }) => field);
+    }
+    
+    /**
+     * Shows the parsed fields as an editable form next to the raw address.
+     * Nothing is copied until the user confirms the form.
+     * @param {Object} addressData - The original address data
+     * @param {Object[]} parsedAddresses - Parsed addresses from processAddressData
+     * @param {string[]} notes - Extra warnings, e.g. fields missing from the page
+     * @param {Object} settings - Extension settings
+     */
+    function showReviewForm(addressData, parsedAddresses, notes, settings) {
+      const showRoles = parsedAddresses.length > 1;
+      reviewSections.replaceChildren(...parsedAddresses.map(parsed => buildReviewSection(parsed, showRoles)));
+      
+      const warnings = [
+        ...notes,
+        ...parsedAddresses.flatMap(({ prefix, response }) => [
+          ...response.validation.warnings.map(warning => prefix + warning),
+          ...response.disagreements.map(disagreement => describeDisagreement(disagreement, prefix))
+        ])
+      ];
+      
+      const differences = settings.flagAddressDifferences &&
+        compareBillingToShipping(parsedAddresses.map(({ role, response }) => ({ role, data: response.data })));
+      if (differences && differences.length) {
+        warnings.push(`Billing address differs from shipping address (${differences.join(', ')})`);
+      }
+      
+      reviewWarnings.replaceChildren(...warnings.map(warning => {
+        const item = document.createElement('li');
+        item.textContent = warning;
+        return item;
+      }));
+      
+      pendingReview = { addressData, parsedAddresses };
+      document.body.classList.add('reviewing');
+      reparseBtn.hidden = !parsedAddresses.some(({ response }) => response.cacheHit);
+      reviewForm.hidden = false;
+      reviewForm.querySelector('input').focus();
+      
+      statusDiv.textContent = `Parsed with ${describeParsedAddresses(parsedAddresses)}. Review the fields, then copy.`;
+      statusDiv.style.color = warnings.length ? 'orange' : 'green';
+    }
+    
+    /**
+     * Lists the parsed addresses the user left selected for copying
+     * @returns {Object[]} Selected entries of pendingReview.parsedAddresses
+     */
+    function getSelectedAddresses() {
+      return pendingReview.parsedAddresses.filter(({ prefix }) => {
+        const selectInput = reviewForm.elements[`copy ${prefix}`];
+        return !selectInput || selectInput.checked;
+      });
+    }
+    
+    /**
+     * Reads the reviewed (and possibly edited) fields of each address from the form
+     * @param {Object[]} parsedAddresses - Addresses to read, from pendingReview.parsedAddresses
+     * @returns {Object[]} Objects with role, prefix and data (canonical field names)
+     */
+    function readReviewedAddresses(parsedAddresses) {
+      return parsedAddresses.map(({ role, prefix }) => ({
+        role,
+        prefix,
+        data: Object.fromEntries(ADDRESS_FIELDS.map(field => [field, reviewForm.elements[prefix + field].value.trim()]))
+      }));
+    }
+    
+    /**
+     * Sends the reviewed fields to the content script to fill the page's open edit form
+     */
+    async function handleFillForm() {
+      if (!pendingReview) return;
+      
+      try {
+        const tabs = await chrome.tabs.query({active: true, currentWindow: true});
+        if (!tabs || !tabs[0] || !tabs[0].id) {
+          throw new Error('Cannot access current tab');
         }
         
-        console.log('Cleaned address:', address);
+        const addresses = Object.fromEntries(readReviewedAddresses(getSelectedAddresses()).map(({ role, data }) => [role, data]));
+        const result = await chrome.tabs.sendMessage(tabs[0].id, { action: 'fillForm', addresses });
+        log('info', 'Fill form result', result);
         
-        // Update status while processing
-        statusDiv.textContent = llmAvailable 
-          ? 'Processing with local LLM...' 
-          : 'Processing address...';
-
-        // Send to background script for parsing
-        const response = await chrome.runtime.sendMessage({
-          type: 'parseAddress',
-          address: address
-        });
+        if (!result || !result.success) {
+          throw new Error(result?.error || 'Failed to fill the form');
+        }
         
-        console.log('Background response:', response);
-
-        if (!response || !response.success) {
-          throw new Error(response?.error || 'Failed to parse address');
+        statusDiv.textContent = `Filled ${result.filled.length} field(s); review the highlighted fields, then save.` +
+          (result.notFound.length ? ` Not found on page: ${result.notFound.join(', ')}` : '') +
+          (result.unmatched.length ? ` No matching option, left unchanged: ${result.unmatched.join(', ')}` : '');
+        statusDiv.style.color = result.notFound.length || result.unmatched.length || !result.filled.length ? 'orange' : 'green';
+      } catch (error) {
+        log('error', 'Error filling form', error);
+        statusDiv.textContent = error.message.includes('Receiving end does not exist')
+          ? 'Please refresh the page and try again'
+          : error.message || 'An error occurred';
+        statusDiv.style.color = 'red';
+      }
+    }
+    
+    /**
+     * Copies the reviewed (and possibly edited) fields to the clipboard
+     * @param {Event} event - Form submit event
+     */
+    async function handleReviewSubmit(event) {
+      event.preventDefault();
+      if (!pendingReview) return;
+      
+      const { addressData, historyId } = pendingReview;
+      const parsedAddresses = getSelectedAddresses();
+      if (!parsedAddresses.length) {
+        statusDiv.textContent = 'Select at least one address to copy';
+        statusDiv.style.color = 'red';
+        return;
+      }
+      
+      const settings = await getSettings();
+      const editedAddresses = readReviewedAddresses(parsedAddresses);
+      
+      // Add the parsed addresses back to the original JSON, namespaced by role when several are copied
+      const result = mergeParsedAddresses(addressData, editedAddresses.map(address =>
+        ({ ...address, prefix: editedAddresses.length > 1 ? `${address.role} ` : '' })));
+      
+      const differences = settings.flagAddressDifferences && compareBillingToShipping(editedAddresses);
+      if (differences) {
+        result['Billing Differs From Shipping'] = differences.length ? 'Yes' : 'No';
+      }
+      
+      // Convert to the user's chosen clipboard format
+      const formattedResult = formatOutput(result, { ...settings, outputFormat: outputFormatSelect.value });
+      log('debug', 'Formatted result ready');
+      
+      await copyResult(formattedResult, parsedAddresses);
+      
+      // Corrections become few-shot examples, and corrected LLM results must not be served from the cache again
+      const corrected = parsedAddresses
+        .map((parsed, index) => ({ ...parsed, data: editedAddresses[index].data }))
+        .filter(({ response, data }) => findDisagreements(response.data, data).length);
+      corrected
+        .filter(({ response }) => response.method === 'llm')
+        .forEach(({ address }) => chrome.runtime.sendMessage({ type: 'invalidateCache', address }));
+      if (settings.learnFromCorrections) {
+        for (const { address, data } of corrected) {
+          await addExample(address, data);
+        }
+      }
+      
+      // Keep what was copied, so re-copying from the history gives the reviewed values
+      if (historyId) {
+        await requestHistoryUpdate({ type: 'updateHistoryAddresses', id: historyId, addresses: editedAddresses });
+      }
+    }
+    
+    /**
+     * Gives each parsed address a unique role, numbering repeats (e.g. "Shipping 2")
+     * @param {string[]} roles - Roles in order
+     * @returns {string[]} Unique roles
+     */
+    function makeRolesUnique(roles) {
+      return roles.map((role, index) => {
+        const repeats = roles.filter(other => other === role).length;
+        if (repeats === 1) return role;
+        return `${role} ${roles.slice(0, index + 1).filter(other => other === role).length}`;
+      });
+    }
+    
+    /**
+     * Processes address data through local LLM and updates result.
+     * Every "Raw <role> Address" field is parsed, and a field holding several
+     * addresses (e.g. "Ship to: ... / Bill to: ...") is split into one address each.
+     * With more than one address, the parsed fields are namespaced by role
+     * (e.g. "Shipping City", "Billing City").
+     * @param {Object} addressData - The address data to process
+     * @param {Object} [options]
+     * @param {string[]} [options.notes] - Extra warnings to show in the review form
+     * @param {string} [options.sourceUrl] - URL of the page the data came from, recorded in the history
+     * @param {boolean} [options.bypassCache] - Ask the LLM even for addresses it has parsed before
+     */
+    async function processAddressData(addressData, { notes = [], sourceUrl = '', bypassCache = false } = {}) {
+      reviewForm.hidden = true;
+      pendingReview = null;
+      lastParse = { addressData, options: { notes, sourceUrl } };
+      statusDiv.textContent = 'Processing...';
+      statusDiv.style.color = 'blue';
+      
+      try {
+        const rawKeys = Object.keys(addressData).filter(key => RAW_ADDRESS_KEY.test(key) && addressData[key]);
+        if (!rawKeys.length) {
+          throw new Error('No raw address field (e.g. "Raw Shipping Address") found in data');
         }
-
-        // Add the parsed address back to the original JSON
-        const result = {
-          ...addressData,
-          ...response.data
-        };
-
-        // Convert to formatted JSON string
-        const formattedResult = JSON.stringify(result, null, 2);
-        console.log('Formatted result ready');
         
-        // Write back to clipboard using our enhanced method
-        const clipboardWriteSuccess = await writeToClipboard(formattedResult);
+        const parsedAddresses = [];
+        activeRequestId = crypto.randomUUID();
+        cancelBtn.disabled = false;
+        cancelBtn.hidden = false;
         
-        if (clipboardWriteSuccess) {
-          if (response.usedLLM) {
-            statusDiv.textContent = '✓ Address parsed with local LLM and copied to clipboard!';
-            statusDiv.style.color = 'green';
-          } else {
-            statusDiv.textContent = '✓ Address parsed with fallback method and copied to clipboard';
+        for (const rawKey of rawKeys) {
+          const role = rawKey.match(RAW_ADDRESS_KEY)[1];
+          const address = addressData[rawKey].trim();
+          
+          // Update status while processing
+          statusDiv.textContent = (llmAvailable ? 'Processing with local LLM' : 'Processing address') +
+            (rawKeys.length > 1 ? ` (${role.toLowerCase()})...` : '...');
+          
+          // Send to background script for splitting and parsing
+          const response = await chrome.runtime.sendMessage({
+            type: 'parseAddresses',
+            requestId: activeRequestId,
+            address: address,
+            // Lets the regex parser recognize the recipient line; name and attention lines stay in the address
+            contact: String(addressData["Contact"] || ''),
+            bypassCache
+          });
+          
+          log('debug', 'Background response', {
+            success: Boolean(response && response.success),
+            cancelled: Boolean(response && response.cancelled),
+            addresses: response && response.addresses ? response.addresses.length : 0
+          });
+          
+          if (response && response.cancelled) {
+            statusDiv.textContent = 'Parse cancelled';
             statusDiv.style.color = 'orange';
+            return;
+          }
+          if (!response || !response.success) {
+            throw new Error(response?.error || 'Failed to parse address');
           }
-        } else {
-          // If both clipboard methods failed, show the text for manual copying
-          statusDiv.innerHTML = 'Could not automatically copy to clipboard. Please copy this text manually:<br>';
-          
-          // Create a pre element with the formatted text
-          const pre = document.createElement('pre');
-          pre.style.marginTop = '10px';
-          pre.style.padding = '8px';
-          pre.style.background = '#f5f5f5';
-          pre.style.borderRadius = '4px';
-          pre.style.overflow = 'auto';
-          pre.style.maxHeight = '150px';
-          pre.style.fontSize = '11px';
-          pre.textContent = formattedResult;
           
-          statusDiv.appendChild(pre);
-          statusDiv.style.color = 'red';
+          // Addresses split from one field are labeled by their own role ("Ship to:"), or numbered
+          const split = response.addresses.length > 1;
+          response.addresses.forEach((parsed, index) => {
+            parsedAddresses.push({
+              role: split ? parsed.role || `${role} ${index + 1}` : role,
+              raw: split ? parsed.address : addressData[rawKey],
+              address: parsed.address,
+              response: parsed
+            });
+          });
         }
+        
+        const roles = makeRolesUnique(parsedAddresses.map(({ role }) => role));
+        parsedAddresses.forEach((parsed, index) => {
+          parsed.role = roles[index];
+          parsed.prefix = parsedAddresses.length > 1 ? `${parsed.role} ` : '';
+        });
+        
+        const historyEntry = await requestHistoryUpdate({
+          type: 'addHistoryEntry',
+          entry: {
+            input: addressData,
+            addresses: parsedAddresses.map(({ role, prefix, raw, address, response }) =>
+              ({ role, prefix, raw, address, data: response.data, method: response.method })),
+            sourceUrl
+          }
+        }).then(response => response.entry).catch(error => {
+          log('error', 'Could not save to history', error);
+          return null;
+        });
+        
+        showReviewForm(addressData, parsedAddresses, notes, await getSettings());
+        pendingReview.historyId = historyEntry && historyEntry.id;
       } catch (error) {
-        console.error('Error in processing:', error);
+        log('error', 'Error in processing', error);
         statusDiv.textContent = error.message || 'An error occurred';
         statusDiv.style.color = 'red';
+      } finally {
+        activeRequestId = null;
+        cancelBtn.hidden = true;
       }
     }
     
     // Set up the extract from page button
     extractBtn.addEventListener('click', async () => {
-      console.log('Extract from page button clicked');
+      log('debug', 'Extract from page button clicked');
       statusDiv.textContent = 'Extracting data from page...';
       statusDiv.style.color = 'blue';
       
@@ -183,17 +600,18 @@ document.addEventListener('DOMContentLoaded', function() {
         
         // Send message to content script to extract data
         const result = await chrome.tabs.sendMessage(tabId, {action: "extractPageData"});
-        console.log('Extraction result:', result);
+        log('debug', 'Extraction result', result);
         
         if (!result || !result.success) {
           throw new Error(result?.error || 'Failed to extract data from page');
         }
         
-        // Process the extracted data
-        await processAddressData(result.data);
+        // Process the extracted data, noting which fields the matched rule could not find
+        const notes = result.missingFields.map(field => `"${field}" not found on page (rule: ${result.rule})`);
+        await processAddressData(result.data, { notes, sourceUrl: tabs[0].url || '' });
         
       } catch (error) {
-        console.error('Error extracting from page:', error);
+        log('error', 'Error extracting from page', error);
         
         // Check if this is a connection error, which usually means content script isn't loaded
         if (error.message.includes('Could not establish connection') || 
@@ -209,7 +627,7 @@ document.addEventListener('DOMContentLoaded', function() {
     
     // Set up the parse from clipboard button
     parseBtn.addEventListener('click', async () => {
-      console.log('Parse button clicked');
+      log('debug', 'Parse button clicked');
       statusDiv.textContent = 'Processing...';
       statusDiv.style.color = 'blue';
       
@@ -219,17 +637,17 @@ document.addEventListener('DOMContentLoaded', function() {
           name: 'clipboard-read'
         }).catch(error => {
           // Fall back to trying direct read if permissions API is unavailable
-          console.log('Permission check not supported, trying direct read');
+          log('debug', 'Permission check not supported, trying direct read');
           return { state: 'prompt' };
         });
         
-        console.log('Clipboard permission:', permissionStatus.state);
+        log('debug', 'Clipboard permission', { state: permissionStatus.state });
         
         // Read from clipboard
         let text;
         try {
           text = await navigator.clipboard.readText();
-          console.log('Clipboard text retrieved');
+          log('debug', 'Clipboard text retrieved');
         } catch (error) {
           throw new Error('Cannot read clipboard: Please grant clipboard permission in site settings');
         }
@@ -242,7 +660,7 @@ document.addEventListener('DOMContentLoaded', function() {
         try {
           // Try to parse JSON from clipboard
           addressData = JSON.parse(text);
-          console.log('Parsed JSON from clipboard');
+          log('debug', 'Parsed JSON from clipboard');
         } catch (error) {
           throw new Error('Invalid JSON in clipboard. Make sure you have copied valid JSON data.');
         }
@@ -251,7 +669,7 @@ document.addEventListener('DOMContentLoaded', function() {
         await processAddressData(addressData);
         
       } catch (error) {
-        console.error('Error in popup:', error);
+        log('error', 'Error in popup', error);
         statusDiv.textContent = error.message || 'An error occurred';
         statusDiv.style.color = 'red';
       }
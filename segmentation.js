@@ -0,0 +1,207 @@
+/**
+ * Multiple-address segmentation for Address Parser Extension
+ *
+ * Customers sometimes paste several addresses into one field, e.g.
+ * "Ship to: ... / Bill to: ..." or a list of site addresses. This splits such
+ * text into one segment per address, labeled by role when a role keyword is
+ * present, so each address can be parsed on its own.
+ * Requires countries.js to be loaded first.
+ */
+
+// Role keywords that introduce an address, e.g. "Ship to:", "Billing Address -", "Deliver to"
+const ADDRESS_ROLE_KEYWORDS = {
+  Shipping: 'ship(?:ping)?|deliver(?:y)?',
+  Billing: 'bill(?:ing)?|invoice',
+  Mailing: 'mail(?:ing)?',
+  Remit: 'remit(?:tance)?'
+};
+
+// A keyword followed by "to"/"address", or by a colon; the colon or dash, if any, is captured.
+// Whether it really introduces an address is decided by isRoleMarker.
+const ADDRESS_ROLE_MARKER = new RegExp(
+  `(^|[\\n/|;,])\\s*(${Object.values(ADDRESS_ROLE_KEYWORDS).join('|')})` +
+  '(?:(?:\\s+(?:to|address))+|(?=\\s*:))\\s*([:\\-–]?)[ \\t]*',
+  'gi'
+);
+
+// The start of an address line: a house number, or a box or route ("PO Box 5", "RR 2 Box 40", "PSC 1234")
+const ADDRESS_LINE_START = /^\s*(?:\d|(?:P\.?\s?O\.?\s?Box|Post\s+Office\s+Box|R\.?\s?R\.?|Rural\s+Route|H\.?\s?C\.?|PSC|CMR)\s*#?\s*\d)/i;
+
+// Street, box and postal numbers all hold a digit; notes such as "same as shipping" do not
+const ADDRESS_CONTENT = /\d/;
+
+// Characters separating addresses written on one line
+const SEGMENT_SEPARATOR = /\n\s*\n|;|\s\|\s|\s\/\s/;
+
+/**
+ * Split text into the addresses it contains
+ * @param {string} text - Raw address text, possibly holding several addresses
+ * @returns {{role: string, text: string}[]} One segment per address; role is
+ *   "Shipping", "Billing", "Mailing" or "Remit" when labeled, "" otherwise
+ */
+function segmentAddresses(text) {
+  const normalized = text.replace(/\r\n/g, '\n').trim();
+  const labeled = splitAtRoleMarkers(normalized);
+  if (labeled) return labeled;
+
+  const segments = splitUnlabeledAddresses(normalized);
+  return segments.map(segment => ({ role: '', text: segment }));
+}
+
+/**
+ * Split text at role markers such as "Ship to:" and "Bill to:"
+ * @param {string} text - Normalized text
+ * @returns {{role: string, text: string}[]|null} Labeled segments, or null when there are no markers
+ */
+function splitAtRoleMarkers(text) {
+  const markers = [...text.matchAll(ADDRESS_ROLE_MARKER)].filter(marker => isRoleMarker(text, marker));
+  if (!markers.length) return null;
+
+  // Segments without an address, e.g. "Billing: same as shipping", are dropped with their marker
+  const segments = markers.map((marker, index) => {
+    const start = marker.index + marker[0].length;
+    const end = index + 1 < markers.length ? markers[index + 1].index + markers[index + 1][1].length : text.length;
+    return { role: getMarkerRole(marker[2]), text: trimSegment(text.slice(start, end)) };
+  }).filter(segment => ADDRESS_CONTENT.test(segment.text));
+
+  // Text before the first marker is an address of its own if it is complete or
+  // nothing follows it, otherwise it belongs to the first one (e.g. a name above "Ship to:")
+  const leading = trimSegment(text.slice(0, markers[0].index + markers[0][1].length));
+  if (!segments.length) {
+    return leading ? [{ role: '', text: leading }] : null;
+  }
+  if (leading && endsWithLocality(leading)) {
+    segments.unshift({ role: '', text: leading });
+  } else if (leading) {
+    segments[0].text = `${leading}\n${segments[0].text}`;
+  }
+
+  return segments;
+}
+
+/**
+ * Whether a role keyword match introduces an address. A label ("Bill to:", or
+ * "Ship to" alone on its line) counts at the start of a line or of a part
+ * separated by ";", "/" or "|"; anything else, such as "Deliver to rear door"
+ * or a label after a comma, only when an address line follows it.
+ * @param {string} text - Normalized text
+ * @param {RegExpMatchArray} marker - Match of ADDRESS_ROLE_MARKER
+ * @returns {boolean} True if the text after the marker is an address
+ */
+function isRoleMarker(text, marker) {
+  const following = text.slice(marker.index + marker[0].length);
+  if (ADDRESS_LINE_START.test(following)) return true;
+
+  const isLabel = Boolean(marker[3]) || /^(?:\n|$)/.test(following);
+  return isLabel && marker[1] !== ',';
+}
+
+/**
+ * Map a matched role keyword to its role
+ * @param {string} keyword - e.g. "Ship", "billing"
+ * @returns {string} Role name
+ */
+function getMarkerRole(keyword) {
+  return Object.keys(ADDRESS_ROLE_KEYWORDS)
+    .find(role => new RegExp(`^(?:${ADDRESS_ROLE_KEYWORDS[role]})$`, 'i').test(keyword));
+}
+
+/**
+ * Split text without role markers into addresses. Text is only split when
+ * every part ends with a city/region/postal code line, so a single address
+ * with a building number or PO Box is never cut in two.
+ * @param {string} text - Normalized text
+ * @returns {string[]} Address texts; the whole text when it holds one address
+ */
+function splitUnlabeledAddresses(text) {
+  const blocks = text.split(SEGMENT_SEPARATOR).map(trimSegment).filter(Boolean);
+  const segments = blocks.flatMap(splitBlockAfterLocality);
+
+  if (segments.length < 2 || !segments.every(endsWithLocality)) {
+    return [text];
+  }
+  return segments;
+}
+
+/**
+ * Split a block of lines after each line ending in a postal code, keeping a
+ * country line that follows it. A one-line block is split at commas.
+ * @param {string} block - One or more address lines
+ * @returns {string[]} Address texts
+ */
+function splitBlockAfterLocality(block) {
+  const multiline = block.includes('\n');
+  const lines = block.split(multiline ? '\n' : ',').map(line => line.trim()).filter(Boolean);
+  const segments = [];
+  let current = [];
+
+  lines.forEach((line, index) => {
+    current.push(line);
+    const next = lines[index + 1];
+    const nextIsCountry = next && isCountryLine(next);
+    if ((endsWithLocality(line) && !nextIsCountry) || (isCountryLine(line) && current.length > 1)) {
+      segments.push(current);
+      current = [];
+    }
+  });
+
+  // Trailing lines without a postal code stay with the last address
+  if (current.length) {
+    segments.length ? segments[segments.length - 1].push(...current) : segments.push(current);
+  }
+  return segments.map(segmentLines => segmentLines.join(multiline ? '\n' : ', '));
+}
+
+/**
+ * Whether a line is only a country name, e.g. "Canada" or "USA"
+ * @param {string} line - Address line
+ * @returns {boolean} True for a country line
+ */
+function isCountryLine(line) {
+  const countryName = findCountryName(line);
+  return Boolean(countryName && countryName.match.trim().replace(/^,/, '').trim().length === line.trim().length);
+}
+
+/**
+ * Whether text ends with a locality: a region followed by a postal code
+ * ("Austin, TX 78701", "Toronto ON M5V 3L9"), a postcode ("London SW1A 2AA")
+ * or a postal code followed by the city ("10115 Berlin, Germany"), optionally followed by a country
+ * @param {string} text - Address text
+ * @returns {boolean} True when the text ends like a complete address
+ */
+function endsWithLocality(text) {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  const countryName = findCountryName(flat);
+  const rest = (countryName ? flat.slice(0, flat.length - countryName.match.length) : flat).replace(/[\s,.]+$/, '');
+
+  return Object.entries(COUNTRY_RULES).some(([country, rule]) => {
+    // "12345 Main St" reads like "10115 Berlin", so postal-before-city is only trusted with the country named
+    if (rule.postalBeforeCity && (!countryName || countryName.country !== country)) return false;
+
+    const regionPattern = getRegionPattern(rule);
+    const pattern = rule.postalBeforeCity
+      ? `${rule.postalPattern.source}\\s+[^\\d,]+$`
+      : `${regionPattern ? `${regionPattern.source}\\s*` : ''}${rule.postalPattern.source}$`;
+    return new RegExp(pattern, rule.postalPattern.flags).test(rest);
+  });
+}
+
+/**
+ * Trim whitespace and leftover separators from a segment
+ * @param {string} text - Segment text
+ * @returns {string} Trimmed text
+ */
+function trimSegment(text) {
+  return text.replace(/^[\s/|;,]+|[\s/|;,]+$/g, '');
+}
+
+/**
+ * Split pasted text into addresses: blank-line separated blocks when
+ * there are any, otherwise one address per line
+ * @param {string} text - Pasted text
+ * @returns {string[]} Addresses
+ */
+function splitPastedAddresses(text) {
+  const separator = /\n\s*\n/.test(text.trim()) ? /\n\s*\n/ : /\n/;
+  return text.split(separator).map(address => address.trim()).filter(Boolean);
+}
@@ -0,0 +1,71 @@
+/**
+ * Table-driven tests for splitting text into addresses in segmentation.js, run with `npm test`
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadParserCore } = require('./cli/core_context');
+
+const core = loadParserCore();
+
+const CASES = [
+  {
+    name: 'labels on one line',
+    text: 'Ship to: 1 Main St, Austin, TX 78701 / Bill to: 5 Elm St, Boise, ID 83702',
+    expected: [
+      { role: 'Shipping', text: '1 Main St, Austin, TX 78701' },
+      { role: 'Billing', text: '5 Elm St, Boise, ID 83702' }
+    ]
+  },
+  {
+    name: 'labels on their own lines, with a name above the first',
+    text: 'Jane Doe\nShip to:\n1 Main St\nAustin, TX 78701\n\nBill to:\nAcme Inc\n5 Elm St\nBoise, ID 83702',
+    expected: [
+      { role: 'Shipping', text: 'Jane Doe\n1 Main St\nAustin, TX 78701' },
+      { role: 'Billing', text: 'Acme Inc\n5 Elm St\nBoise, ID 83702' }
+    ]
+  },
+  {
+    name: 'keyword without a colon followed by a street',
+    text: 'Deliver to 1 Main St, Austin, TX 78701',
+    expected: [{ role: 'Shipping', text: '1 Main St, Austin, TX 78701' }]
+  },
+  {
+    name: 'delivery note at the start stays part of the address',
+    text: 'Deliver to rear door, 1 Main St, Austin, TX 78701',
+    expected: [{ role: '', text: 'Deliver to rear door, 1 Main St, Austin, TX 78701' }]
+  },
+  {
+    name: 'delivery note after a comma stays part of the address',
+    text: '1 Main St, Deliver to rear door, Austin, TX 78701',
+    expected: [{ role: '', text: '1 Main St, Deliver to rear door, Austin, TX 78701' }]
+  },
+  {
+    name: 'label followed by no address is dropped',
+    text: '1 Main St\nBilling: same as shipping',
+    expected: [{ role: '', text: '1 Main St' }]
+  },
+  {
+    name: 'label followed by no address after a complete one is dropped',
+    text: '1 Main St\nAustin, TX 78701\nBilling: same as shipping',
+    expected: [{ role: '', text: '1 Main St\nAustin, TX 78701' }]
+  },
+  {
+    name: 'unlabeled addresses on separate lines',
+    text: '1 Main St, Austin, TX 78701\n5 Elm St, Boise, ID 83702',
+    expected: [
+      { role: '', text: '1 Main St, Austin, TX 78701' },
+      { role: '', text: '5 Elm St, Boise, ID 83702' }
+    ]
+  },
+  {
+    name: 'a single address with a building number is not split',
+    text: 'Building 5, 1 Research Way\nPrinceton, NJ 08540',
+    expected: [{ role: '', text: 'Building 5, 1 Research Way\nPrinceton, NJ 08540' }]
+  }
+];
+
+for (const { name, text, expected } of CASES) {
+  test(name, () => {
+    assert.deepStrictEqual([...core.segmentAddresses(text)].map(segment => ({ ...segment })), expected);
+  });
+}
@@ -0,0 +1,142 @@
+/**
+ * Shared settings for Address Parser Extension
+ *
+ * Loaded by the background service worker, the content script, the popup and the options page.
+ * Values are persisted in chrome.storage.local and fall back to these defaults.
+ */
+
+// Built-in rule for the Salesforce Lightning sales order layout
+const DEFAULT_EXTRACTION_RULES = [
+  {
+    name: 'Salesforce Lightning sales order',
+    // Regex tested against the page URL; empty matches every page
+    urlPattern: '',
+    // The page text between these markers is searched
+    startMarker: 'Sales Order Name',
+    endMarker: 'Last Modified By',
+    // Output field name -> label line on the page; the value is the next line
+    fieldLabels: {
+      'Order Name': 'Sales Order Name',
+      'Order Number': 'Order Number',
+      Account: 'Account',
+      Contact: 'Contact',
+      Phone: 'Phone',
+      Email: 'Email'
+    },
+    // Address role -> label line on the page; output as "Raw <role> Address"
+    addressBlocks: {
+      Shipping: 'Shipping Address',
+      Billing: 'Billing Address'
+    },
+    // An address ends at a line starting with any of these, another block's label or a field label
+    stopLabels: ['Edit', 'Billing Frequency', 'Expected Delivery Date', 'System Quantities', 'Service Type'],
+    maxLines: 5,
+    // Address role -> parsed field -> label of the edit form input it fills;
+    // fields sharing an input are joined with line breaks
+    formFields: {
+      Shipping: {
+        'Address 1': 'Shipping Street',
+        'Address 2': 'Shipping Street',
+        City: 'Shipping City',
+        State: 'Shipping State/Province',
+        ZIP: 'Shipping Zip/Postal Code',
+        Country: 'Shipping Country'
+      },
+      Billing: {
+        'Address 1': 'Billing Street',
+        'Address 2': 'Billing Street',
+        City: 'Billing City',
+        State: 'Billing State/Province',
+        ZIP: 'Billing Zip/Postal Code',
+        Country: 'Billing Country'
+      }
+    }
+  }
+];
+
+const DEFAULT_SETTINGS = {
+  llmBaseUrl: 'http://127.0.0.1:1234',
+  llmModel: 'local-model',
+  llmApiKey: 'lm-studio',
+  temperature: 0.1,
+  maxTokens: 500,
+  // How the reply format is enforced: 'json_schema' (response_format), 'tools' (tool calling) or 'none'
+  structuredOutput: 'json_schema',
+  // Rename State/ZIP per country in the output, e.g. "Province" and "Postal Code" for Canada
+  localizeFieldNames: true,
+  // Clipboard format, one of the keys of OUTPUT_FORMATS in formatters.js
+  outputFormat: 'json-pretty',
+  // Column order for the TSV and CSV formats
+  outputColumns: 'Address 1, Address 2, City, State, ZIP, Country',
+  // Template for the custom format; {{Field Name}} placeholders, \n for line breaks
+  outputTemplate: '{{Address 1}}\\n{{City}}, {{State}} {{ZIP}}',
+  // Page extraction rules, tried in order by the content script
+  extractionRules: DEFAULT_EXTRACTION_RULES,
+  // Warn and add a "Billing Differs From Shipping" field when both addresses are parsed
+  flagAddressDifferences: true,
+  // Parse history retention: newest entries kept (0 turns history off) and maximum age in days (0 keeps them forever)
+  historyMaxEntries: 500,
+  historyMaxDays: 90,
+  // LLM result cache: entries kept, least recently used evicted first (0 turns the cache off),
+  // and days before an entry expires (0 never expires)
+  cacheMaxEntries: 1000,
+  cacheTtlDays: 30,
+  // Save fields corrected in the review form as examples, and how many similar examples the LLM is shown
+  learnFromCorrections: true,
+  fewShotCount: 3,
+  // Rewrite US addresses in USPS Pub 28 style: 'off', 'upper' (postal style) or 'title'
+  addressNormalization: 'off',
+  // LLM requests: seconds before one is abandoned (0 waits forever), and retries after a server error or failed connection
+  llmTimeoutSeconds: 30,
+  llmMaxRetries: 2,
+  // After this many LLM failures in a row, parse with regex only for the cooldown (0 never pauses the LLM)
+  llmCircuitThreshold: 3,
+  llmCircuitCooldownSeconds: 60,
+  // Ensemble mode: the model above, these extra models ({name, llmBaseUrl, llmModel, llmApiKey, structuredOutput, weight},
+  // empty values taken from above) and the regex parser all parse each address, and each field goes to the majority;
+  // ties go to the larger total weight
+  ensembleEnabled: false,
+  ensembleModels: [],
+  ensemblePrimaryWeight: 1,
+  ensembleRegexWeight: 0.5,
+  // Lowest level printed to the console: 'debug', 'info', 'warn' or 'error'
+  logLevel: 'info',
+  // Print log details (addresses, names, LLM replies) to the console unredacted; the diagnostics page stays redacted
+  verboseLogging: false
+};
+
+/**
+ * Load the current settings, filling in defaults for anything not saved yet
+ * @returns {Promise<object>} Settings object
+ */
+async function getSettings() {
+  return chrome.storage.local.get(DEFAULT_SETTINGS);
+}
+
+/**
+ * Persist a partial settings object
+ * @param {object} changes - Settings keys to update
+ * @returns {Promise<void>}
+ */
+async function saveSettings(changes) {
+  return chrome.storage.local.set(changes);
+}
+
+/**
+ * Build a full OpenAI-compatible API URL from the configured base URL
+ * @param {string} baseUrl - Server base URL, with or without a trailing /v1
+ * @param {string} path - API path such as "/v1/models"
+ * @returns {string} Full URL
+ */
+function buildLLMUrl(baseUrl, path) {
+  return baseUrl.trim().replace(/\/+$/, '').replace(/\/v1$/, '') + path;
+}
+
+/**
+ * Host permission pattern covering the origin of a base URL
+ * @param {string} baseUrl - Server base URL
+ * @returns {string} Match pattern such as "http://127.0.0.1:1234/*"
+ */
+function getOriginPattern(baseUrl) {
+  return `${new URL(baseUrl).origin}/*`;
+}
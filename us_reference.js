@@ -0,0 +1,63 @@
+/**
+ * Offline US reference data for Address Parser Extension
+ *
+ * State, territory and military codes, and the ZIP3 prefixes assigned to each,
+ * used to validate parsed addresses without any network lookups.
+ */
+
+// Armed Forces "states" of APO/FPO/DPO military addresses
+const US_MILITARY_STATES = {
+  AA: 'Armed Forces Americas', AE: 'Armed Forces Europe', AP: 'Armed Forces Pacific'
+};
+
+// The "city" of a military address: Army/Air Post Office, Fleet Post Office, Diplomatic Post Office
+const US_MILITARY_CITIES = ['APO', 'FPO', 'DPO'];
+
+const US_STATES = {
+  AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California',
+  CO: 'Colorado', CT: 'Connecticut', DE: 'Delaware', FL: 'Florida', GA: 'Georgia',
+  HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois', IN: 'Indiana', IA: 'Iowa',
+  KS: 'Kansas', KY: 'Kentucky', LA: 'Louisiana', ME: 'Maine', MD: 'Maryland',
+  MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota', MS: 'Mississippi', MO: 'Missouri',
+  MT: 'Montana', NE: 'Nebraska', NV: 'Nevada', NH: 'New Hampshire', NJ: 'New Jersey',
+  NM: 'New Mexico', NY: 'New York', NC: 'North Carolina', ND: 'North Dakota', OH: 'Ohio',
+  OK: 'Oklahoma', OR: 'Oregon', PA: 'Pennsylvania', RI: 'Rhode Island', SC: 'South Carolina',
+  SD: 'South Dakota', TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont',
+  VA: 'Virginia', WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming',
+  DC: 'District of Columbia',
+  AS: 'American Samoa', GU: 'Guam', MP: 'Northern Mariana Islands', PR: 'Puerto Rico',
+  VI: 'U.S. Virgin Islands',
+  ...US_MILITARY_STATES
+};
+
+// Inclusive ZIP3 prefix ranges per state, from the USPS ZIP3 assignments
+const US_ZIP3_RANGES = {
+  AL: [[350, 369]], AK: [[995, 999]], AZ: [[850, 865]], AR: [[716, 729]],
+  CA: [[900, 961]], CO: [[800, 816]], CT: [[60, 69]], DE: [[197, 199]],
+  FL: [[320, 339], [341, 349]], GA: [[300, 319], [398, 399]], HI: [[967, 968]],
+  ID: [[832, 838]], IL: [[600, 629]], IN: [[460, 479]], IA: [[500, 528]],
+  KS: [[660, 679]], KY: [[400, 427]], LA: [[700, 714]], ME: [[39, 49]],
+  MD: [[206, 219]], MA: [[10, 27], [55, 55]], MI: [[480, 499]], MN: [[550, 567]],
+  MS: [[386, 397]], MO: [[630, 658]], MT: [[590, 599]], NE: [[680, 693]],
+  NV: [[889, 898]], NH: [[30, 38]], NJ: [[70, 89]], NM: [[870, 884]],
+  NY: [[5, 5], [100, 149]], NC: [[270, 289]], ND: [[580, 588]], OH: [[430, 459]],
+  OK: [[730, 749]], OR: [[970, 979]], PA: [[150, 196]], RI: [[28, 29]],
+  SC: [[290, 299]], SD: [[570, 577]], TN: [[370, 385]], TX: [[750, 799], [885, 885]],
+  UT: [[840, 847]], VT: [[50, 54], [56, 59]], VA: [[201, 201], [220, 246]],
+  WA: [[980, 994]], WV: [[247, 268]], WI: [[530, 549]], WY: [[820, 831]],
+  DC: [[200, 200], [202, 205], [569, 569]],
+  AS: [[967, 967]], GU: [[969, 969]], MP: [[969, 969]], PR: [[6, 7], [9, 9]],
+  VI: [[8, 8]],
+  AA: [[340, 340]], AE: [[90, 98]], AP: [[962, 966]]
+};
+
+/**
+ * List the states a ZIP code's three-digit prefix is assigned to
+ * @param {string} zip - 5-digit ZIP or ZIP+4
+ * @returns {string[]} State codes, empty when the prefix is unassigned
+ */
+function getStatesForZip(zip) {
+  const prefix = parseInt(zip.slice(0, 3), 10);
+  return Object.keys(US_ZIP3_RANGES)
+    .filter(state => US_ZIP3_RANGES[state].some(([low, high]) => prefix >= low && prefix <= high));
+}
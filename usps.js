@@ -0,0 +1,239 @@
+/**
+ * USPS Publication 28 normalization for Address Parser Extension
+ *
+ * Rewrites parsed US addresses in the standard postal style: street suffixes,
+ * directionals and secondary unit designators abbreviated per Pub 28
+ * (Appendix C1 and C2), no punctuation, consistent casing and ZIP+4 as 12345-6789.
+ * The tables are bundled, so no lookup service is needed.
+ * Requires address_schema.js and us_reference.js to be loaded first.
+ */
+
+// Standard street suffix abbreviation -> primary name and common variants (Pub 28, Appendix C1)
+const USPS_STREET_SUFFIX_VARIANTS = {
+  ALY: ['ALLEY', 'ALLEE', 'ALLY'], ANX: ['ANNEX', 'ANEX', 'ANNX'], ARC: ['ARCADE'],
+  AVE: ['AVENUE', 'AV', 'AVEN', 'AVENU', 'AVN', 'AVNUE'], BYU: ['BAYOU', 'BAYOO'], BCH: ['BEACH'],
+  BND: ['BEND'], BLF: ['BLUFF', 'BLUF'], BLFS: ['BLUFFS'], BTM: ['BOTTOM', 'BOT', 'BOTTM'],
+  BLVD: ['BOULEVARD', 'BOUL', 'BOULV'], BR: ['BRANCH', 'BRNCH'], BRG: ['BRIDGE', 'BRDGE'],
+  BRK: ['BROOK'], BRKS: ['BROOKS'], BG: ['BURG'], BGS: ['BURGS'], BYP: ['BYPASS', 'BYPA', 'BYPAS', 'BYPS'],
+  CP: ['CAMP', 'CMP'], CYN: ['CANYON', 'CANYN', 'CNYN'], CPE: ['CAPE'], CSWY: ['CAUSEWAY', 'CAUSWA'],
+  CTR: ['CENTER', 'CEN', 'CENT', 'CENTR', 'CENTRE', 'CNTER', 'CNTR'], CTRS: ['CENTERS'],
+  CIR: ['CIRCLE', 'CIRC', 'CIRCL', 'CRCL', 'CRCLE'], CIRS: ['CIRCLES'], CLF: ['CLIFF'], CLFS: ['CLIFFS'],
+  CLB: ['CLUB'], CMN: ['COMMON'], CMNS: ['COMMONS'], COR: ['CORNER'], CORS: ['CORNERS'], CRSE: ['COURSE'],
+  CT: ['COURT'], CTS: ['COURTS'], CV: ['COVE'], CVS: ['COVES'], CRK: ['CREEK'],
+  CRES: ['CRESCENT', 'CRSENT', 'CRSNT'], CRST: ['CREST'], XING: ['CROSSING', 'CRSSNG'],
+  XRD: ['CROSSROAD'], XRDS: ['CROSSROADS'], CURV: ['CURVE'], DL: ['DALE'], DM: ['DAM'],
+  DV: ['DIVIDE', 'DIV', 'DVD'], DR: ['DRIVE', 'DRIV', 'DRV'], DRS: ['DRIVES'], EST: ['ESTATE'],
+  ESTS: ['ESTATES'], EXPY: ['EXPRESSWAY', 'EXP', 'EXPR', 'EXPRESS', 'EXPW'], EXT: ['EXTENSION', 'EXTN', 'EXTNSN'],
+  EXTS: ['EXTENSIONS'], FALL: [], FLS: ['FALLS'], FRY: ['FERRY', 'FRRY'], FLD: ['FIELD'], FLDS: ['FIELDS'],
+  FLT: ['FLAT'], FLTS: ['FLATS'], FRD: ['FORD'], FRDS: ['FORDS'], FRST: ['FOREST', 'FORESTS'],
+  FRG: ['FORGE', 'FORG'], FRGS: ['FORGES'], FRK: ['FORK'], FRKS: ['FORKS'], FT: ['FORT', 'FRT'],
+  FWY: ['FREEWAY', 'FREEWY', 'FRWAY', 'FRWY'], GDN: ['GARDEN', 'GARDN', 'GRDEN', 'GRDN'], GDNS: ['GARDENS', 'GRDNS'],
+  GTWY: ['GATEWAY', 'GATEWY', 'GATWAY', 'GTWAY'], GLN: ['GLEN'], GLNS: ['GLENS'], GRN: ['GREEN'], GRNS: ['GREENS'],
+  GRV: ['GROVE', 'GROV'], GRVS: ['GROVES'], HBR: ['HARBOR', 'HARB', 'HARBR', 'HRBOR'], HBRS: ['HARBORS'],
+  HVN: ['HAVEN'], HTS: ['HEIGHTS', 'HT'], HWY: ['HIGHWAY', 'HIGHWY', 'HIWAY', 'HIWY', 'HWAY'], HL: ['HILL'],
+  HLS: ['HILLS'], HOLW: ['HOLLOW', 'HLLW', 'HOLLOWS', 'HOLWS'], INLT: ['INLET'], IS: ['ISLAND', 'ISLND'],
+  ISS: ['ISLANDS', 'ISLNDS'], ISLE: ['ISLES'], JCT: ['JUNCTION', 'JCTION', 'JCTN', 'JUNCTN', 'JUNCTON'],
+  JCTS: ['JUNCTIONS', 'JCTNS'], KY: ['KEY'], KYS: ['KEYS'], KNL: ['KNOLL', 'KNOL'], KNLS: ['KNOLLS'], LK: ['LAKE'],
+  LKS: ['LAKES'], LAND: [], LNDG: ['LANDING', 'LNDNG'], LN: ['LANE'], LGT: ['LIGHT'], LGTS: ['LIGHTS'], LF: ['LOAF'],
+  LCK: ['LOCK'], LCKS: ['LOCKS'], LDG: ['LODGE', 'LDGE', 'LODG'], LOOP: ['LOOPS'], MALL: [], MNR: ['MANOR'],
+  MNRS: ['MANORS'], MDW: ['MEADOW'], MDWS: ['MEADOWS', 'MEDOWS'], MEWS: [], ML: ['MILL'], MLS: ['MILLS'],
+  MSN: ['MISSION', 'MISSN', 'MSSN'], MTWY: ['MOTORWAY'], MT: ['MOUNT', 'MNT'],
+  MTN: ['MOUNTAIN', 'MNTAIN', 'MNTN', 'MOUNTIN', 'MTIN'], MTNS: ['MOUNTAINS', 'MNTNS'], NCK: ['NECK'],
+  ORCH: ['ORCHARD', 'ORCHRD'], OVAL: ['OVL'], OPAS: ['OVERPASS'], PARK: ['PRK', 'PARKS'],
+  PKWY: ['PARKWAY', 'PARKWY', 'PKWAY', 'PKY', 'PARKWAYS', 'PKWYS'], PASS: [], PSGE: ['PASSAGE'], PATH: ['PATHS'],
+  PIKE: ['PIKES'], PNE: ['PINE'], PNES: ['PINES'], PL: ['PLACE'], PLN: ['PLAIN'], PLNS: ['PLAINS'],
+  PLZ: ['PLAZA', 'PLZA'], PT: ['POINT'], PTS: ['POINTS'], PRT: ['PORT'], PRTS: ['PORTS'], PR: ['PRAIRIE', 'PRR'],
+  RADL: ['RADIAL', 'RAD', 'RADIEL'], RAMP: [], RNCH: ['RANCH', 'RANCHES', 'RNCHS'], RPD: ['RAPID'], RPDS: ['RAPIDS'],
+  RST: ['REST'], RDG: ['RIDGE', 'RDGE'], RDGS: ['RIDGES'], RIV: ['RIVER', 'RVR', 'RIVR'], RD: ['ROAD'],
+  RDS: ['ROADS'], RTE: ['ROUTE'], ROW: [], RUE: [], RUN: [], SHL: ['SHOAL'], SHLS: ['SHOALS'],
+  SHR: ['SHORE', 'SHOAR'], SHRS: ['SHORES', 'SHOARS'], SKWY: ['SKYWAY'], SPG: ['SPRING', 'SPNG', 'SPRNG'],
+  SPGS: ['SPRINGS', 'SPNGS', 'SPRNGS'], SPUR: ['SPURS'], SQ: ['SQUARE', 'SQR', 'SQRE', 'SQU'], SQS: ['SQUARES', 'SQRS'],
+  STA: ['STATION', 'STATN', 'STN'], STRA: ['STRAVENUE', 'STRAV', 'STRAVEN', 'STRAVN', 'STRVN', 'STRVNUE'],
+  STRM: ['STREAM', 'STREME'], ST: ['STREET', 'STRT', 'STR'], STS: ['STREETS'], SMT: ['SUMMIT', 'SUMIT', 'SUMITT'],
+  TER: ['TERRACE', 'TERR'], TRWY: ['THROUGHWAY'], TRCE: ['TRACE', 'TRACES'], TRAK: ['TRACK', 'TRACKS', 'TRK', 'TRKS'],
+  TRFY: ['TRAFFICWAY'], TRL: ['TRAIL', 'TRAILS', 'TRLS'], TUNL: ['TUNNEL', 'TUNEL', 'TUNLS', 'TUNNELS', 'TUNNL'],
+  TPKE: ['TURNPIKE', 'TRNPK', 'TURNPK'], UPAS: ['UNDERPASS'], UN: ['UNION'], UNS: ['UNIONS'],
+  VLY: ['VALLEY', 'VALLY', 'VLLY'], VLYS: ['VALLEYS'], VIA: ['VIADUCT', 'VDCT', 'VIADCT'], VW: ['VIEW'], VWS: ['VIEWS'],
+  VLG: ['VILLAGE', 'VILL', 'VILLAG', 'VILLG', 'VILLIAGE'], VLGS: ['VILLAGES'], VL: ['VILLE'],
+  VIS: ['VISTA', 'VIST', 'VST', 'VSTA'], WALK: ['WALKS'], WALL: [], WAY: ['WY'], WAYS: [], WL: ['WELL'], WLS: ['WELLS']
+};
+
+// Directional -> abbreviation
+const USPS_DIRECTIONALS = {
+  NORTH: 'N', SOUTH: 'S', EAST: 'E', WEST: 'W',
+  NORTHEAST: 'NE', NORTHWEST: 'NW', SOUTHEAST: 'SE', SOUTHWEST: 'SW',
+  N: 'N', S: 'S', E: 'E', W: 'W', NE: 'NE', NW: 'NW', SE: 'SE', SW: 'SW'
+};
+
+// Secondary unit designator -> abbreviation (Pub 28, Appendix C2)
+const USPS_SECONDARY_UNITS = {
+  APARTMENT: 'APT', APT: 'APT', BASEMENT: 'BSMT', BSMT: 'BSMT', BUILDING: 'BLDG', BLDG: 'BLDG',
+  DEPARTMENT: 'DEPT', DEPT: 'DEPT', FLOOR: 'FL', FL: 'FL', FRONT: 'FRNT', FRNT: 'FRNT', HANGAR: 'HNGR', HNGR: 'HNGR',
+  KEY: 'KEY', LOBBY: 'LBBY', LBBY: 'LBBY', LOT: 'LOT', LOWER: 'LOWR', LOWR: 'LOWR', OFFICE: 'OFC', OFC: 'OFC',
+  PENTHOUSE: 'PH', PH: 'PH', PIER: 'PIER', REAR: 'REAR', ROOM: 'RM', RM: 'RM', SIDE: 'SIDE', SLIP: 'SLIP',
+  SPACE: 'SPC', SPC: 'SPC', STOP: 'STOP', SUITE: 'STE', STE: 'STE', TRAILER: 'TRLR', TRLR: 'TRLR',
+  UNIT: 'UNIT', UPPER: 'UPPR', UPPR: 'UPPR'
+};
+
+// Designators that are never street names, so they start a unit wherever they appear
+const USPS_UNAMBIGUOUS_UNITS = ['APT', 'STE', 'UNIT', 'RM', 'BLDG', 'DEPT', 'FL'];
+
+// Lookup of every suffix spelling -> standard abbreviation
+const USPS_STREET_SUFFIXES = Object.fromEntries(Object.entries(USPS_STREET_SUFFIX_VARIANTS)
+  .flatMap(([standard, variants]) => [standard, ...variants].map(variant => [variant, standard])));
+
+// Words kept uppercase in title case, including the route and military designators ("RR 2 Box 40", "PSC 1234 Box 5", "APO")
+const USPS_UPPERCASE_WORDS = new Set(['N', 'S', 'E', 'W', 'NE', 'NW', 'SE', 'SW', 'PO', 'RR', 'HC', 'PSC', 'CMR', 'USS', 'USNS', ...US_MILITARY_CITIES]);
+
+/**
+ * Normalize a parsed US address to Pub 28 style. Other countries and the
+ * "off" setting return the fields unchanged.
+ * @param {object} result - Parsed address with canonical field names
+ * @param {string} caseStyle - "off", "upper" or "title" (the addressNormalization setting)
+ * @returns {object} Normalized copy of the fields
+ */
+function normalizeAddressFields(result, caseStyle) {
+  if (caseStyle === 'off' || result.Country !== 'USA') {
+    return result;
+  }
+
+  return {
+    ...result,
+    // Names keep their own casing ("Acme LLC", "IBM", "McDonald"); only their spacing is tidied
+    ...Object.fromEntries(RECIPIENT_FIELDS.map(field => [field, result[field].replace(/\s+/g, ' ').trim()])),
+    'Address 1': applyCase(normalizeStreetLine(result['Address 1']), caseStyle),
+    'Address 2': applyCase(normalizeStreetLine(result['Address 2']), caseStyle),
+    City: applyCase(result.City.replace(/[.,]/g, '').replace(/\s+/g, ' ').trim(), caseStyle),
+    State: result.State.toUpperCase(),
+    ZIP: normalizeZip(result.ZIP)
+  };
+}
+
+/**
+ * Rewrite one street line: "123 north main street apartment 4" -> "123 N MAIN ST APT 4"
+ * @param {string} line - Address 1 or Address 2
+ * @returns {string} Uppercase line with Pub 28 abbreviations and no punctuation
+ */
+function normalizeStreetLine(line) {
+  const tokens = line
+    .replace(/^\s*(?:P\.?\s*O\.?|POST\s+OFFICE)\s*BOX\b/i, 'PO BOX')
+    .replace(/^\s*RURAL\s+ROUTE\b/i, 'RR')
+    .replace(/^\s*HIGHWAY\s+CONTRACT(?:\s+ROUTE)?\b/i, 'HC')
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .map(token => (/^[a-z.]+$/i.test(token) ? token.replace(/\./g, '') : token).toUpperCase())
+    .filter(Boolean);
+
+  const unitIndex = tokens.findIndex((token, index) => isUnitStart(tokens, index));
+  const street = unitIndex === -1 ? tokens : tokens.slice(0, unitIndex);
+  const unit = unitIndex === -1 ? [] : tokens.slice(unitIndex);
+
+  return [...normalizeStreet(street), ...normalizeUnit(unit)].join(' ');
+}
+
+/**
+ * Whether a token begins the secondary unit, e.g. "APT" in "123 MAIN ST APT 4".
+ * Designators that can also be street names ("FRONT", "KEY") only count at the
+ * start of the line or right after the suffix (and post-directional).
+ * @param {string[]} tokens - Uppercase tokens
+ * @param {number} index - Token position
+ * @returns {boolean} True if the unit starts here
+ */
+function isUnitStart(tokens, index) {
+  const token = tokens[index];
+  if (token.startsWith('#')) return true;
+
+  const designator = USPS_SECONDARY_UNITS[token];
+  if (!designator) return false;
+  if (index === 0) return true;
+
+  // After the suffix, or after a post-directional that follows it
+  const afterSuffix = USPS_STREET_SUFFIXES[tokens[index - 1]] ||
+    (index >= 2 && USPS_DIRECTIONALS[tokens[index - 1]] && USPS_STREET_SUFFIXES[tokens[index - 2]]);
+  return Boolean(afterSuffix) ||
+    (USPS_UNAMBIGUOUS_UNITS.includes(designator) && index + 1 < tokens.length);
+}
+
+/**
+ * Abbreviate the suffix and the pre- and post-directionals of a street,
+ * leaving words that are the street name itself ("NORTH ST", "AVENUE B") alone
+ * @param {string[]} tokens - Uppercase street tokens
+ * @returns {string[]} Normalized tokens
+ */
+function normalizeStreet(tokens) {
+  const result = [...tokens];
+  let end = result.length - 1;
+
+  // Post-directional: "MAIN ST NORTH"
+  if (end >= 2 && USPS_DIRECTIONALS[result[end]] && USPS_STREET_SUFFIXES[result[end - 1]]) {
+    result[end] = USPS_DIRECTIONALS[result[end]];
+    end--;
+  }
+
+  // Suffix, when a street name precedes it
+  const nameStart = /^\d/.test(result[0] || '') ? 1 : 0;
+  const hasSuffix = end > nameStart && USPS_STREET_SUFFIXES[result[end]];
+  if (hasSuffix) {
+    result[end] = USPS_STREET_SUFFIXES[result[end]];
+  }
+
+  // Pre-directional: "123 NORTH MAIN ST", but not "123 NORTH ST"
+  const nameEnd = hasSuffix ? end : end + 1;
+  if (USPS_DIRECTIONALS[result[nameStart]] && nameStart + 1 < nameEnd) {
+    result[nameStart] = USPS_DIRECTIONALS[result[nameStart]];
+  }
+
+  return result;
+}
+
+/**
+ * Abbreviate the unit designator; "#" is dropped after a designator ("SUITE #100" -> "STE 100")
+ * and separated from the number when it stands alone ("#100" -> "# 100")
+ * @param {string[]} tokens - Uppercase unit tokens, starting with the designator or "#"
+ * @returns {string[]} Normalized tokens
+ */
+function normalizeUnit(tokens) {
+  if (!tokens.length) return [];
+
+  const [first, ...rest] = tokens;
+  if (first.startsWith('#')) {
+    return ['#', first.slice(1), ...rest].filter(Boolean);
+  }
+
+  const designator = USPS_SECONDARY_UNITS[first];
+  const range = rest.map(token => token.replace(/^#/, '')).filter(Boolean);
+  return [designator, ...range.map(token => USPS_SECONDARY_UNITS[token] || token)];
+}
+
+/**
+ * Apply the casing setting to a normalized value
+ * @param {string} value - Uppercase value
+ * @param {string} caseStyle - "upper" or "title"
+ * @returns {string} Cased value; title case keeps directionals, "PO" and unit numbers ("4B") uppercase
+ *   and lowercases ordinals ("1ST" -> "1st")
+ */
+function applyCase(value, caseStyle) {
+  const upper = value.toUpperCase();
+  if (caseStyle !== 'title') return upper;
+
+  return upper
+    .split(' ')
+    .map(word => {
+      if (/^\d+(?:ST|ND|RD|TH)$/.test(word)) return word.toLowerCase();
+      if (USPS_UPPERCASE_WORDS.has(word) || /\d/.test(word)) return word;
+      return word.toLowerCase().replace(/(^|[^\p{L}'])(\p{L})/gu, (match, before, letter) => before + letter.toUpperCase());
+    })
+    .join(' ');
+}
+
+/**
+ * Format a ZIP or ZIP+4 as 12345 or 12345-6789
+ * @param {string} zip - ZIP as parsed
+ * @returns {string} Formatted ZIP; values that are not 5 or 9 digits are returned unchanged
+ */
+function normalizeZip(zip) {
+  const digits = zip.replace(/[\s-]/g, '');
+  if (/^\d{9}$/.test(digits)) return `${digits.slice(0, 5)}-${digits.slice(5)}`;
+  if (/^\d{5}$/.test(digits)) return digits;
+  return zip;
+}
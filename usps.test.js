@@ -0,0 +1,77 @@
+/**
+ * Table-driven tests for the USPS Publication 28 normalization in usps.js, run with `npm test`
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadParserCore, readConstant } = require('./cli/core_context');
+
+const core = loadParserCore();
+
+const CASES = [
+  {
+    name: 'ordinals are lowercased in title case',
+    address: { 'Address 1': '9 East 1st Street', City: 'New York', State: 'NY', ZIP: '10016' },
+    caseStyle: 'title',
+    expected: { 'Address 1': '9 E 1st St' }
+  },
+  {
+    name: 'ordinals stay uppercase in upper case',
+    address: { 'Address 1': '9 East 1st Street', City: 'New York', State: 'NY', ZIP: '10016' },
+    caseStyle: 'upper',
+    expected: { 'Address 1': '9 E 1ST ST' }
+  },
+  {
+    name: 'unit numbers with letters stay uppercase in title case',
+    address: { 'Address 1': '200 w 22nd st', 'Address 2': 'apt 4b', City: 'new york', State: 'ny', ZIP: '10011' },
+    caseStyle: 'title',
+    expected: { 'Address 1': '200 W 22nd St', 'Address 2': 'Apt 4B', City: 'New York', State: 'NY' }
+  },
+  {
+    name: 'suffix, directional and unit words are abbreviated',
+    address: { 'Address 1': '123 north main street', 'Address 2': 'apartment 4', City: 'springfield', State: 'IL', ZIP: '62701' },
+    caseStyle: 'upper',
+    expected: { 'Address 1': '123 N MAIN ST', 'Address 2': 'APT 4', City: 'SPRINGFIELD' }
+  },
+  {
+    name: 'ZIP+4 without its hyphen gets one',
+    address: { 'Address 1': '9 E 1st St', City: 'New York', State: 'NY', ZIP: '100161234' },
+    caseStyle: 'title',
+    expected: { ZIP: '10016-1234' }
+  },
+  {
+    name: 'recipient, company and attention keep their casing in title case',
+    address: { Recipient: 'Jane  McDonald', Company: 'Acme LLC', Attention: 'IBM  Procurement', 'Address 1': '1 main st', City: 'Austin', State: 'TX', ZIP: '78701' },
+    caseStyle: 'title',
+    expected: { Recipient: 'Jane McDonald', Company: 'Acme LLC', Attention: 'IBM Procurement', 'Address 1': '1 Main St' }
+  },
+  {
+    name: 'recipient, company and attention keep their casing in upper case',
+    address: { Recipient: 'Jane Doe', Company: ' Acme LLC ', 'Address 1': '1 main st', City: 'Austin', State: 'TX', ZIP: '78701' },
+    caseStyle: 'upper',
+    expected: { Recipient: 'Jane Doe', Company: 'Acme LLC', 'Address 1': '1 MAIN ST' }
+  },
+  {
+    name: 'normalization off leaves the fields as parsed',
+    address: { 'Address 1': '9 East 1st Street', City: 'new york', State: 'NY', ZIP: '100161234' },
+    caseStyle: 'off',
+    expected: { 'Address 1': '9 East 1st Street', City: 'new york', ZIP: '100161234' }
+  }
+];
+
+/**
+ * Fill in the fields a case leaves out
+ * @param {object} fields - Some address fields
+ * @returns {object} Every field, empty unless given, in the USA
+ */
+function completeAddress(fields) {
+  const empty = Object.fromEntries(readConstant(core, 'ADDRESS_FIELDS').map(field => [field, '']));
+  return { ...empty, Country: 'USA', ...fields };
+}
+
+for (const { name, address, caseStyle, expected } of CASES) {
+  test(name, () => {
+    const result = core.normalizeAddressFields(completeAddress(address), caseStyle);
+    const actual = Object.fromEntries(Object.keys(expected).map(field => [field, result[field]]));
+    assert.deepStrictEqual(actual, expected);
+  });
+}
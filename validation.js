@@ -0,0 +1,64 @@
+/**
+ * Validation of parsed addresses for Address Parser Extension
+ *
+ * Runs after both the LLM and the regex parser and checks every field
+ * against the per-country rules and the bundled US reference tables.
+ */
+
+/**
+ * Validate a parsed address
+ * @param {object} result - Parsed address with canonical field names
+ * @returns {{valid: boolean, fields: object, warnings: string[]}} Status and message per field,
+ *   plus all messages in field order
+ */
+function validateAddress(result) {
+  const fields = Object.fromEntries(ADDRESS_FIELDS.map(field => [field, { status: 'valid', message: '' }]));
+
+  /**
+   * Record a problem with a field
+   * @param {string} field - Field name
+   * @param {string} status - "warning" or "invalid"
+   * @param {string} message - Explanation shown to the user
+   */
+  function flag(field, status, message) {
+    fields[field] = { status, message };
+  }
+
+  const rule = COUNTRY_RULES[result.Country];
+  const requiredFields = ['Address 1', 'City', 'ZIP', ...(rule && rule.regions ? ['State'] : [])];
+  requiredFields
+    .filter(field => !result[field])
+    .forEach(field => flag(field, 'warning', `${field} is missing`));
+
+  if (!rule) {
+    flag('Country', 'warning', `Country "${result.Country}" is not supported, so State and ZIP were not checked`);
+  } else {
+    if (result.State && rule.regions && !rule.regions[result.State]) {
+      flag('State', 'invalid', `"${result.State}" is not a known state or province code for ${result.Country}`);
+    }
+
+    // Military mail pairs an APO/FPO/DPO "city" with an Armed Forces "state"
+    const militaryCity = result.Country === 'USA' && US_MILITARY_CITIES.includes((result.City || '').toUpperCase());
+    const militaryState = result.Country === 'USA' && Boolean(US_MILITARY_STATES[result.State]);
+    if (militaryCity && result.State && !militaryState) {
+      flag('State', 'invalid', `${result.City.toUpperCase()} addresses use AA, AE or AP as the state`);
+    } else if (militaryState && result.City && !militaryCity) {
+      flag('City', 'invalid', `${result.State} addresses use APO, FPO or DPO as the city`);
+    }
+
+    const postalPattern = new RegExp(`^${rule.postalPattern.source}$`, rule.postalPattern.flags);
+    if (result.ZIP && !postalPattern.test(result.ZIP)) {
+      flag('ZIP', 'invalid', `"${result.ZIP}" is not a valid ${rule.fieldLabels.ZIP} for ${result.Country}`);
+    } else if (result.ZIP && result.Country === 'USA' && fields.State.status === 'valid' && result.State) {
+      const zipStates = getStatesForZip(result.ZIP);
+      if (!zipStates.length) {
+        flag('ZIP', 'warning', `ZIP prefix ${result.ZIP.slice(0, 3)} is not assigned to any state`);
+      } else if (!zipStates.includes(result.State)) {
+        flag('ZIP', 'invalid', `ZIP ${result.ZIP} belongs to ${zipStates.join('/')}, not ${result.State}`);
+      }
+    }
+  }
+
+  const warnings = ADDRESS_FIELDS.map(field => fields[field].message).filter(Boolean);
+  return { valid: warnings.length === 0, fields, warnings };
+}